@@ -0,0 +1,104 @@
+// controllers/admin.js
+import express from 'express';
+import { ZodError } from 'zod';
+import { Prisma } from '@prisma/client';
+
+import prisma from '../lib/prismaClient.js';
+import requireAuth from '../middleware/requireAuth.js';
+import { requirePermission } from '../middleware/authorize.js';
+import { rangeEnd } from '../lib/normalize.js';
+import { adminFeedbackQuerySchema, adminUsageQuerySchema } from '../lib/schemas.js';
+
+const router = express.Router();
+router.use(requireAuth);
+
+function rollup(rows, key) {
+  const groups = new Map();
+  for (const r of rows) {
+    const k = r[key] ?? null;
+    const g = groups.get(k) ?? { [key]: k, up: 0, down: 0, total: 0 };
+    g.up += r.up;
+    g.down += r.down;
+    g.total += r.total;
+    groups.set(k, g);
+  }
+  return [...groups.values()]
+    .map(g => ({ ...g, upRatio: g.total ? g.up / g.total : null }))
+    .sort((a, b) => b.total - a.total);
+}
+
+// GET aggregated answer feedback per model and per prompt version
+router.get('/feedback', requirePermission('feedback:read'), async (req, res, next) => {
+  try {
+    const { from, to } = adminFeedbackQuerySchema.parse(req.query);
+    const filters = [Prisma.sql`TRUE`];
+    if (from) filters.push(Prisma.sql`f."createdAt" >= ${new Date(from)}`);
+    if (to) filters.push(Prisma.sql`f."createdAt" < ${rangeEnd(to)}`);
+
+    const rows = await prisma.$queryRaw`
+      SELECT
+        m.model            AS "model",
+        m."promptVersion"  AS "promptVersion",
+        count(*) FILTER (WHERE f.rating = 'UP')::int   AS "up",
+        count(*) FILTER (WHERE f.rating = 'DOWN')::int AS "down",
+        count(*)::int                                   AS "total"
+      FROM "MessageFeedback" f
+      JOIN "Message" m ON m.id = f."messageId"
+      WHERE ${Prisma.join(filters, ' AND ')}
+      GROUP BY m.model, m."promptVersion"`;
+
+    res.json({
+      byModel: rollup(rows, 'model'),
+      byPromptVersion: rollup(rows, 'promptVersion'),
+      byModelAndPromptVersion: rows,
+    });
+  } catch (err) {
+    if (err instanceof ZodError) return res.status(400).json({ error: err.errors });
+    next(err);
+  }
+});
+
+// GET token usage and estimated cost per plan and per user (most expensive
+// first). Usage of deleted accounts only counts towards its plan.
+router.get('/usage', requirePermission('usage:read'), async (req, res, next) => {
+  try {
+    const { from, to, limit } = adminUsageQuerySchema.parse(req.query);
+    const filters = [Prisma.sql`TRUE`];
+    if (from) filters.push(Prisma.sql`u."createdAt" >= ${new Date(from)}`);
+    if (to) filters.push(Prisma.sql`u."createdAt" < ${rangeEnd(to)}`);
+    const where = Prisma.join(filters, ' AND ');
+
+    // Token sums are cast to float8: bigint would not serialise to JSON
+    const totals = Prisma.sql`
+      count(*) FILTER (WHERE u.purpose = 'GATE')::int    AS "prompts",
+      count(*) FILTER (WHERE u.purpose = 'ANSWER')::int  AS "answers",
+      sum(u."promptTokens")::float8                      AS "promptTokens",
+      sum(u."completionTokens")::float8                  AS "completionTokens",
+      coalesce(sum(u."costUsd"), 0)::float8              AS "costUsd",
+      avg(u."latencyMs") FILTER (WHERE u.purpose = 'ANSWER')::float8 AS "avgAnswerLatencyMs"`;
+
+    const [byPlan, byUser] = await Promise.all([
+      prisma.$queryRaw`
+        SELECT u.plan AS "plan", count(DISTINCT u."userId")::int AS "users", ${totals}
+        FROM "MessageUsage" u
+        WHERE ${where}
+        GROUP BY u.plan
+        ORDER BY "costUsd" DESC`,
+      prisma.$queryRaw`
+        SELECT u."userId" AS "userId", usr.email AS "email", usr.name AS "name", ${totals}
+        FROM "MessageUsage" u
+        JOIN "User" usr ON usr.id = u."userId"
+        WHERE ${where}
+        GROUP BY u."userId", usr.email, usr.name
+        ORDER BY "costUsd" DESC
+        LIMIT ${limit}`,
+    ]);
+
+    res.json({ from: from ?? null, to: to ?? null, byPlan, byUser });
+  } catch (err) {
+    if (err instanceof ZodError) return res.status(400).json({ error: err.errors });
+    next(err);
+  }
+});
+
+export default router;
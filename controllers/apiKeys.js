@@ -0,0 +1,56 @@
+// controllers/apiKeys.js
+import express from 'express';
+import { ZodError } from 'zod';
+
+import prisma from '../lib/prismaClient.js';
+import { createApiKey, serializeApiKey } from '../lib/apiKeys.js';
+import requireAuth from '../middleware/requireAuth.js';
+import { createApiKeySchema } from '../lib/schemas.js';
+
+const router = express.Router();
+router.use(requireAuth);
+
+/** GET /api/api-keys */
+router.get('/', async (req, res, next) => {
+  try {
+    const keys = await prisma.apiKey.findMany({
+      where: { userId: req.user.id },
+      orderBy: { createdAt: 'desc' }
+    });
+    res.json(keys.map(serializeApiKey));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/** POST /api/api-keys — the plaintext key is returned only here, once. */
+router.post('/', async (req, res, next) => {
+  try {
+    const { name, scopes, expiresAt } = createApiKeySchema.parse(req.body);
+    const { key, record } = await createApiKey(req.user.id, { name, scopes, expiresAt });
+    res.status(201).json({ ...serializeApiKey(record), key });
+  } catch (err) {
+    if (err instanceof ZodError) {
+      return res.status(400).json({ error: err.errors });
+    }
+    next(err);
+  }
+});
+
+/** DELETE /api/api-keys/:id (revoke) */
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const id = Number(req.params.id);
+    const key = await prisma.apiKey.findUnique({ where: { id } });
+    if (!key || key.userId !== req.user.id) return res.status(404).json({ error: 'API key not found' });
+
+    if (!key.revokedAt) {
+      await prisma.apiKey.update({ where: { id }, data: { revokedAt: new Date() } });
+    }
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
@@ -2,21 +2,91 @@
 import express from 'express';
 import passport from 'passport';
 import rateLimit from 'express-rate-limit';
+import bcrypt from 'bcrypt';
+import { ZodError } from 'zod';
 import prisma from '../lib/prismaClient.js';
 import { googleClient, stripe } from '../lib/config.js';
 import { normalizeEmail } from '../lib/normalize.js';
 import {
   signAccess,
   issueRefresh,
-  verifyRefresh,
+  rotateRefresh,
+  findSessionByRefresh,
+  revokeSession,
+  revokeAllSessions,
   setAuthCookies,
   clearAuthCookies,
+  createOneTimeToken,
+  consumeOneTimeToken,
+  setMfaPendingCookie,
+  consumeMfaAttempt,
+  clearMfaPendingCookie,
+  setLinkIntentCookie,
+  readLinkIntent,
+  clearLinkIntentCookie,
   csrf
 } from '../lib/auth.js';
-import requireAuth from '../middleware/requireAuth.js';
+import {
+  OAUTH_PROVIDERS,
+  resolveOAuthSignIn,
+  linkOAuthAccount,
+  unlinkOAuthAccount
+} from '../lib/oauthAccounts.js';
+import { generateSecret, otpauthUri, sealSecret } from '../lib/totp.js';
+import { negotiateLocale } from '../lib/i18n.js';
+import { deleteImaging } from '../lib/xrays.js';
+import {
+  regenerateRecoveryCodes,
+  verifyUserTotp,
+  verifySecondFactor
+} from '../lib/twoFactor.js';
+import {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendMagicLinkEmail
+} from '../lib/mailer.js';
+import {
+  registerSchema,
+  loginSchema,
+  emailOnlySchema,
+  tokenSchema,
+  passwordResetSchema,
+  totpCodeSchema,
+  secondFactorSchema
+} from '../lib/schemas.js';
+import { requireSessionAuth as requireAuth } from '../middleware/requireAuth.js';
 
 const router = express.Router();
 
+const BCRYPT_ROUNDS = 12;
+
+async function issueSession(req, res, user) {
+  const access  = signAccess(user);
+  const refresh = await issueRefresh(user, req);
+  setAuthCookies(res, access, refresh);
+}
+
+// Completes a first-factor sign-in. Users with 2FA only get a pending `mfa`
+// cookie here and must finish at POST /2fa/verify.
+async function startSession(req, res, user) {
+  if (user.totpEnabledAt) {
+    setMfaPendingCookie(res, user);
+    return { mfaRequired: true };
+  }
+  await issueSession(req, res, user);
+  return { mfaRequired: false };
+}
+
+// Mail for "request a link" endpoints is best-effort so that the response
+// never reveals whether an account exists.
+async function mailQuietly(send) {
+  try {
+    await send();
+  } catch (err) {
+    console.error('Mail delivery failed:', err);
+  }
+}
+
 router.use(rateLimit({
   windowMs: 60_000,
   max: 10,
@@ -30,54 +100,74 @@ router.get('/csrf-token', csrf, (req, res) => {
   res.json({ csrfToken: req.csrfToken() });
 });
 
+const OAUTH_ERRORS = {
+  link_required: [409, 'An account with this email already exists. Sign in and link this provider from your account settings.'],
+  linked_elsewhere: [409, 'This provider account is already linked to another user'],
+  email_required: [400, 'The provider did not share an email address'],
+  state_mismatch: [403, 'This link request has expired; start again from your account settings'],
+};
+
+function oauthError(res, reason) {
+  const [status, error] = OAUTH_ERRORS[reason] ?? [401, 'Authentication failed'];
+  return res.status(status).json({ error, code: reason ?? 'oauth_failed' });
+}
+
+// Shared browser-flow callback for Google/Apple: finishes a link started at
+// POST /link/:provider/start, or signs the resolved user in.
+function oauthCallback(provider, onSignedIn) {
+  return (req, res, next) =>
+    passport.authenticate(provider, { session: false, failureRedirect: '/LetsYouIn' },
+    async (err, user, info) => {
+      if (err) return next(err);
+      const front = process.env.FRONTEND_ORIGIN;
+
+      if (info?.linking) {
+        clearLinkIntentCookie(res);
+        const outcome = user ? `linked=${provider}` : `error=${info.reason}`;
+        return res.redirect(`${front}/settings/accounts?${outcome}`);
+      }
+      if (!user) return res.redirect(`${front}/LetsYouIn?error=${info?.reason ?? 'oauth_failed'}`);
+
+      try {
+        const { mfaRequired } = await startSession(req, res, user);
+        onSignedIn(res, user, mfaRequired);
+      } catch (e) {
+        next(e);
+      }
+    })(req, res, next);
+}
+
 // Google OAuth (browser)
 router.get('/google',
   passport.authenticate('google', { scope: ['profile','email'] })
 );
 
-router.get('/google/callback', csrf, (req, res, next) =>
-  passport.authenticate('google', { session: false, failureRedirect: '/LetsYouIn' },
-  async (err, user) => {
-    if (err) return next(err);
-    const access  = signAccess(user);
-    const refresh = await issueRefresh(user);
-    setAuthCookies(res, access, refresh);
-    res.redirect(process.env.FRONTEND_ORIGIN);
-  })(req, res, next)
-);
+router.get('/google/callback', csrf, oauthCallback('google', (res, _user, mfaRequired) =>
+  res.redirect(mfaRequired
+    ? `${process.env.FRONTEND_ORIGIN}/two-factor`
+    : process.env.FRONTEND_ORIGIN)
+));
+
+async function verifyGoogleCredential(credential) {
+  const ticket = await googleClient.verifyIdToken({
+    idToken: credential,
+    audience: process.env.GOOGLE_CLIENT_ID,
+  });
+  const { sub, email, email_verified: emailVerified, name, picture } = ticket.getPayload();
+  return { provider: 'google', providerUserId: sub, email, emailVerified: emailVerified === true, name, picture };
+}
 
 // Google OAuth (token)
 router.post('/google', csrf, async (req, res) => {
   const { credential } = req.body;
   if (!credential) return res.status(400).json({ error: 'Missing credential' });
   try {
-    const ticket = await googleClient.verifyIdToken({
-      idToken: credential,
-      audience: process.env.GOOGLE_CLIENT_ID,
-    });
-    const { sub: providerUserId, email: rawEmail, name, picture } = ticket.getPayload();
-    const email = normalizeEmail(rawEmail);
-
-    // Upsert user
-    const user = await prisma.user.upsert({
-      where: { email },
-      update: { name, picture },
-      create: { name, email, picture },
-    });
-
-    // Upsert OAuthAccount, updating if it already exists
-    await prisma.oAuthAccount.upsert({
-      where: {
-        provider_providerUserId: { provider: 'google', providerUserId }
-      },
-      update: { userId: user.id },
-      create: { provider: 'google', providerUserId, userId: user.id },
-    });
+    const identity = await verifyGoogleCredential(credential);
+    const { user, error } = await resolveOAuthSignIn(identity);
+    if (error) return oauthError(res, error);
 
-    const access  = signAccess(user);
-    const refresh = await issueRefresh(user);
-    setAuthCookies(res, access, refresh);
-    res.json({ user });
+    const { mfaRequired } = await startSession(req, res, user);
+    res.json(mfaRequired ? { mfaRequired } : { user });
   } catch (err) {
     console.error(err);
     res.status(401).json({ error: 'Authentication failed' });
@@ -87,55 +177,438 @@ router.post('/google', csrf, async (req, res) => {
 // Apple OAuth (browser)
 router.get('/apple', passport.authenticate('apple'));
 
-router.post('/apple/callback', csrf, (req, res, next) =>
-  passport.authenticate('apple', { session: false, failureRedirect: '/LetsYouIn' },
-  async (err, profileUser) => {
-    if (err) return next(err);
-    const { providerUserId, email: rawEmail, name } = profileUser;
-    const email = normalizeEmail(rawEmail);
-
-    const user = await prisma.user.upsert({
-      where: { email },
-      update: { name },
-      create: { name, email, picture: null },
+router.post('/apple/callback', csrf, oauthCallback('apple', (res, user, mfaRequired) =>
+  res.json(mfaRequired ? { mfaRequired } : { user })
+));
+
+// ─── Linked sign-in providers ────────────────────────────────────────────────
+
+// List linked providers
+router.get('/accounts', requireAuth, async (req, res, next) => {
+  try {
+    const [accounts, user] = await Promise.all([
+      prisma.oAuthAccount.findMany({
+        where: { userId: req.user.id },
+        select: { id: true, provider: true, providerUserId: true },
+        orderBy: { id: 'asc' },
+      }),
+      prisma.user.findUnique({ where: { id: req.user.id }, select: { passwordHash: true } }),
+    ]);
+    res.json({ accounts, hasPassword: Boolean(user?.passwordHash) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Link via browser OAuth round-trip. The intent is recorded by a
+// CSRF-protected POST, which returns the URL to navigate to; a plain GET
+// could be triggered by any site.
+router.post('/link/:provider/start', csrf, requireAuth, (req, res) => {
+  const { provider } = req.params;
+  if (!OAUTH_PROVIDERS.includes(provider)) return res.status(404).json({ error: 'Unknown provider' });
+
+  setLinkIntentCookie(res, req.user, provider);
+  res.json({ url: `/api/auth/link/${provider}/redirect` });
+});
+
+// Sends the browser to the provider with the intent's nonce as OAuth state
+router.get('/link/:provider/redirect', requireAuth, (req, res, next) => {
+  const { provider } = req.params;
+  const intent = OAUTH_PROVIDERS.includes(provider) && readLinkIntent(req, provider);
+  if (!intent || intent.userId !== req.user.id) return res.status(400).json({ error: 'No link in progress' });
+
+  const options = provider === 'google' ? { scope: ['profile','email'] } : {};
+  passport.authenticate(provider, { ...options, state: intent.nonce })(req, res, next);
+});
+
+// Link Google via ID token
+router.post('/link/google', csrf, requireAuth, async (req, res, next) => {
+  const { credential } = req.body;
+  if (!credential) return res.status(400).json({ error: 'Missing credential' });
+
+  let identity;
+  try {
+    identity = await verifyGoogleCredential(credential);
+  } catch {
+    return res.status(401).json({ error: 'Authentication failed' });
+  }
+
+  try {
+    const { account, error } = await linkOAuthAccount(req.user.id, identity);
+    if (error) return oauthError(res, error);
+    res.status(201).json({ id: account.id, provider: account.provider, providerUserId: account.providerUserId });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Unlink a provider (at least one sign-in method must remain)
+router.delete('/accounts/:id', csrf, requireAuth, async (req, res, next) => {
+  try {
+    const { error } = await unlinkOAuthAccount(req.user.id, Number(req.params.id));
+    if (error === 'not_found') return res.status(404).json({ error: 'Not found' });
+    if (error === 'last_method') {
+      return res.status(409).json({ error: 'Cannot remove your only sign-in method', code: error });
+    }
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ─── Email + password ────────────────────────────────────────────────────────
+
+// Register
+router.post('/register', csrf, async (req, res, next) => {
+  try {
+    const { name, password, ...rest } = registerSchema.parse(req.body);
+    const email = normalizeEmail(rest.email);
+
+    const exists = await prisma.user.findUnique({ where: { email } });
+    if (exists) return res.status(409).json({ error: 'Email already in use' });
+
+    const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+    const user = await prisma.user.create({ data: { name, email, passwordHash, locale: negotiateLocale(req) } });
+
+    const token = await createOneTimeToken(user.id, 'EMAIL_VERIFY');
+    await mailQuietly(() => sendVerificationEmail(user, token));
+
+    res.status(201).json({ user, verificationRequired: true });
+  } catch (err) {
+    if (err instanceof ZodError) return res.status(400).json({ error: err.errors });
+    next(err);
+  }
+});
+
+// Login
+router.post('/login', csrf, async (req, res, next) => {
+  try {
+    const { email: rawEmail, password } = loginSchema.parse(req.body);
+    const user = await prisma.user.findUnique({
+      where: { email: normalizeEmail(rawEmail) },
+      omit: { passwordHash: false },
     });
 
-    await prisma.oAuthAccount.upsert({
-      where: { provider_providerUserId: { provider: 'apple', providerUserId } },
-      update: { userId: user.id, accessToken: profileUser.accessToken ?? undefined, refreshToken: profileUser.refreshToken ?? undefined, expiresAt: null },
-      create: { provider: 'apple', providerUserId, userId: user.id, accessToken: profileUser.accessToken, refreshToken: profileUser.refreshToken, expiresAt: null },
+    const ok = user?.passwordHash && await bcrypt.compare(password, user.passwordHash);
+    if (!ok) return res.status(401).json({ error: 'Invalid email or password' });
+    if (!user.emailVerifiedAt) return res.status(403).json({ error: 'Email not verified' });
+
+    const { passwordHash: _, ...safeUser } = user;
+    const { mfaRequired } = await startSession(req, res, safeUser);
+    res.json(mfaRequired ? { mfaRequired } : { user: safeUser });
+  } catch (err) {
+    if (err instanceof ZodError) return res.status(400).json({ error: err.errors });
+    next(err);
+  }
+});
+
+// Verify email
+router.post('/verify-email', csrf, async (req, res, next) => {
+  try {
+    const { token } = tokenSchema.parse(req.body);
+    const user = await consumeOneTimeToken(token, 'EMAIL_VERIFY');
+    if (!user) return res.status(400).json({ error: 'Invalid or expired token' });
+
+    await prisma.user.update({ where: { id: user.id }, data: { emailVerifiedAt: new Date() } });
+    res.json({ success: true });
+  } catch (err) {
+    if (err instanceof ZodError) return res.status(400).json({ error: err.errors });
+    next(err);
+  }
+});
+
+// Resend verification email
+router.post('/verify-email/resend', csrf, async (req, res, next) => {
+  try {
+    const { email } = emailOnlySchema.parse(req.body);
+    const user = await prisma.user.findUnique({ where: { email: normalizeEmail(email) } });
+    if (user && !user.emailVerifiedAt) {
+      const token = await createOneTimeToken(user.id, 'EMAIL_VERIFY');
+      await mailQuietly(() => sendVerificationEmail(user, token));
+    }
+    res.status(202).json({ success: true });
+  } catch (err) {
+    if (err instanceof ZodError) return res.status(400).json({ error: err.errors });
+    next(err);
+  }
+});
+
+// Forgot password
+router.post('/password/forgot', csrf, async (req, res, next) => {
+  try {
+    const { email } = emailOnlySchema.parse(req.body);
+    const user = await prisma.user.findUnique({ where: { email: normalizeEmail(email) } });
+    if (user) {
+      const token = await createOneTimeToken(user.id, 'PASSWORD_RESET');
+      await mailQuietly(() => sendPasswordResetEmail(user, token));
+    }
+    res.status(202).json({ success: true });
+  } catch (err) {
+    if (err instanceof ZodError) return res.status(400).json({ error: err.errors });
+    next(err);
+  }
+});
+
+// Reset password — signs out every existing device
+router.post('/password/reset', csrf, async (req, res, next) => {
+  try {
+    const { token, password } = passwordResetSchema.parse(req.body);
+    const user = await consumeOneTimeToken(token, 'PASSWORD_RESET');
+    if (!user) return res.status(400).json({ error: 'Invalid or expired token' });
+
+    const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { passwordHash, emailVerifiedAt: user.emailVerifiedAt ?? new Date() },
     });
+    await revokeAllSessions(user.id, 'password-reset');
+    clearAuthCookies(res);
+    res.json({ success: true });
+  } catch (err) {
+    if (err instanceof ZodError) return res.status(400).json({ error: err.errors });
+    next(err);
+  }
+});
+
+// ─── Magic link ──────────────────────────────────────────────────────────────
 
-    const access  = signAccess(user);
-    const refresh = await issueRefresh(user);
-    setAuthCookies(res, access, refresh);
+router.post('/magic-link', csrf, async (req, res, next) => {
+  try {
+    const { email } = emailOnlySchema.parse(req.body);
+    const user = await prisma.user.findUnique({ where: { email: normalizeEmail(email) } });
+    if (user) {
+      const token = await createOneTimeToken(user.id, 'MAGIC_LINK');
+      await mailQuietly(() => sendMagicLinkEmail(user, token));
+    }
+    res.status(202).json({ success: true });
+  } catch (err) {
+    if (err instanceof ZodError) return res.status(400).json({ error: err.errors });
+    next(err);
+  }
+});
+
+router.post('/magic-link/verify', csrf, async (req, res, next) => {
+  try {
+    const { token } = tokenSchema.parse(req.body);
+    const found = await consumeOneTimeToken(token, 'MAGIC_LINK');
+    if (!found) return res.status(400).json({ error: 'Invalid or expired token' });
+
+    // Following the link proves control of the mailbox
+    const user = found.emailVerifiedAt
+      ? found
+      : await prisma.user.update({ where: { id: found.id }, data: { emailVerifiedAt: new Date() } });
+
+    const { mfaRequired } = await startSession(req, res, user);
+    res.json(mfaRequired ? { mfaRequired } : { user });
+  } catch (err) {
+    if (err instanceof ZodError) return res.status(400).json({ error: err.errors });
+    next(err);
+  }
+});
+
+// ─── Two-factor authentication (TOTP) ────────────────────────────────────────
+
+// Finish a pending sign-in with a TOTP or recovery code
+router.post('/2fa/verify', csrf, async (req, res, next) => {
+  try {
+    const factor = secondFactorSchema.parse(req.body);
+    const attempt = consumeMfaAttempt(req);
+    if (!attempt) {
+      clearMfaPendingCookie(res);
+      return res.status(401).json({ error: 'No pending sign-in' });
+    }
+
+    if (!await verifySecondFactor(attempt.userId, factor)) {
+      if (attempt.remaining > 0) return res.status(401).json({ error: 'Invalid code' });
+      clearMfaPendingCookie(res);
+      return res.status(401).json({ error: 'Too many invalid codes; sign in again' });
+    }
+
+    const user = await prisma.user.findUnique({ where: { id: attempt.userId } });
+    if (!user) return res.status(401).json({ error: 'User not found' });
+
+    clearMfaPendingCookie(res);
+    await issueSession(req, res, user);
     res.json({ user });
-  })(req, res, next)
-);
+  } catch (err) {
+    if (err instanceof ZodError) return res.status(400).json({ error: err.errors });
+    next(err);
+  }
+});
+
+// 2FA status
+router.get('/2fa', requireAuth, async (req, res, next) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: { totpEnabledAt: true },
+    });
+    const recoveryCodesRemaining = await prisma.recoveryCode.count({
+      where: { userId: req.user.id, usedAt: null },
+    });
+    res.json({
+      enabled: Boolean(user?.totpEnabledAt),
+      enabledAt: user?.totpEnabledAt ?? null,
+      recoveryCodesRemaining,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Start enrollment: new secret + otpauth:// URI for the authenticator app
+router.post('/2fa/setup', csrf, requireAuth, async (req, res, next) => {
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+    if (!user) return res.status(404).json({ error: 'Not found' });
+    if (user.totpEnabledAt) return res.status(409).json({ error: '2FA already enabled' });
+
+    const secret = generateSecret();
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { totpSecret: sealSecret(secret), totpLastStep: null },
+    });
+    res.json({ secret, otpauthUri: otpauthUri(secret, user.email) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Confirm enrollment with a first code; returns one-time recovery codes
+router.post('/2fa/enable', csrf, requireAuth, async (req, res, next) => {
+  try {
+    const { code } = totpCodeSchema.parse(req.body);
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: { totpSecret: true, totpEnabledAt: true },
+    });
+    if (user?.totpEnabledAt) return res.status(409).json({ error: '2FA already enabled' });
+    if (!user?.totpSecret) return res.status(400).json({ error: 'Run 2FA setup first' });
+
+    if (!await verifyUserTotp(req.user.id, code, user.totpSecret)) {
+      return res.status(400).json({ error: 'Invalid code' });
+    }
+
+    await prisma.user.update({ where: { id: req.user.id }, data: { totpEnabledAt: new Date() } });
+    const recoveryCodes = await regenerateRecoveryCodes(req.user.id);
+    res.json({ enabled: true, recoveryCodes });
+  } catch (err) {
+    if (err instanceof ZodError) return res.status(400).json({ error: err.errors });
+    next(err);
+  }
+});
 
-// Refresh token
-router.post('/refresh', csrf, async (req, res) => {
+// Replace recovery codes
+router.post('/2fa/recovery-codes', csrf, requireAuth, async (req, res, next) => {
+  try {
+    const factor = secondFactorSchema.parse(req.body);
+    if (!await verifySecondFactor(req.user.id, factor)) {
+      return res.status(400).json({ error: 'Invalid code' });
+    }
+    const recoveryCodes = await regenerateRecoveryCodes(req.user.id);
+    res.json({ recoveryCodes });
+  } catch (err) {
+    if (err instanceof ZodError) return res.status(400).json({ error: err.errors });
+    next(err);
+  }
+});
+
+// Disable 2FA
+router.post('/2fa/disable', csrf, requireAuth, async (req, res, next) => {
+  try {
+    const factor = secondFactorSchema.parse(req.body);
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+    if (!user?.totpEnabledAt) return res.status(400).json({ error: '2FA is not enabled' });
+
+    if (!await verifySecondFactor(req.user.id, factor)) {
+      return res.status(400).json({ error: 'Invalid code' });
+    }
+
+    await prisma.$transaction([
+      prisma.recoveryCode.deleteMany({ where: { userId: req.user.id } }),
+      prisma.user.update({
+        where: { id: req.user.id },
+        data: { totpSecret: null, totpEnabledAt: null, totpLastStep: null },
+      }),
+    ]);
+    res.json({ enabled: false });
+  } catch (err) {
+    if (err instanceof ZodError) return res.status(400).json({ error: err.errors });
+    next(err);
+  }
+});
+
+// Refresh token (rotating; reuse of an old token revokes the session)
+router.post('/refresh', csrf, async (req, res, next) => {
   const token = req.cookies.refresh;
   if (!token) return res.status(401).json({ error: 'No refresh token' });
 
   try {
-    const payload = verifyRefresh(token);
-    const user = await prisma.user.findUnique({ where: { id: payload.userId } });
-    if (!user) return res.status(401).json({ error: 'User not found' });
+    const rotated = await rotateRefresh(token, req);
+    if (!rotated) {
+      clearAuthCookies(res);
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
 
-    const access     = signAccess(user);
-    const newRefresh = await issueRefresh(user);
-    setAuthCookies(res, access, newRefresh);
+    const access = signAccess(rotated.user);
+    setAuthCookies(res, access, rotated.refresh);
     res.json({ access });
-  } catch {
-    res.status(401).json({ error: 'Invalid or expired refresh token' });
+  } catch (err) {
+    next(err);
   }
 });
 
-// Logout (idempotent)
-router.post('/logout', csrf, (req, res) => {
-  clearAuthCookies(res);
-  res.status(204).end();
+// Logout (idempotent) — revokes the current device session
+router.post('/logout', csrf, async (req, res, next) => {
+  try {
+    const session = await findSessionByRefresh(req.cookies.refresh);
+    if (session) await revokeSession(session.id, 'logout');
+    clearAuthCookies(res);
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET active device sessions
+router.get('/sessions', requireAuth, async (req, res, next) => {
+  try {
+    const current = await findSessionByRefresh(req.cookies.refresh);
+    const sessions = await prisma.authSession.findMany({
+      where: { userId: req.user.id, revokedAt: null, expiresAt: { gt: new Date() } },
+      orderBy: { lastUsedAt: 'desc' },
+      select: { id: true, userAgent: true, ip: true, createdAt: true, lastUsedAt: true, expiresAt: true },
+    });
+    res.json(sessions.map(s => ({ ...s, current: s.id === current?.id })));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Sign out everywhere
+router.delete('/sessions', csrf, requireAuth, async (req, res, next) => {
+  try {
+    await revokeAllSessions(req.user.id);
+    clearAuthCookies(res);
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Sign out one device
+router.delete('/sessions/:id', csrf, requireAuth, async (req, res, next) => {
+  try {
+    const session = await prisma.authSession.findUnique({ where: { id: req.params.id } });
+    if (!session || session.userId !== req.user.id) return res.status(404).json({ error: 'Not found' });
+
+    const current = await findSessionByRefresh(req.cookies.refresh);
+    await revokeSession(session.id, 'user');
+    if (current?.id === session.id) clearAuthCookies(res);
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
 });
 
 // Delete account
@@ -144,6 +617,23 @@ router.delete('/delete', csrf, requireAuth, async (req, res) => {
   if (!userId) return res.status(401).json({ error: 'Not authenticated' });
 
   try {
+    // Clinics the caller alone owns keep their patients only if another
+    // member is made owner first; clinics nobody else belongs to go with the
+    // account
+    const ownedClinics = await prisma.clinic.findMany({
+      where: { members: { some: { userId, role: 'OWNER' }, none: { role: 'OWNER', userId: { not: userId } } } },
+      select: { id: true, _count: { select: { members: true } } },
+    });
+    const sharedClinics = ownedClinics.filter(c => c._count.members > 1);
+    if (sharedClinics.length) {
+      return res.status(409).json({
+        error: 'Make another member an owner of your clinics first',
+        clinicIds: sharedClinics.map(c => c.id),
+      });
+    }
+    const clinicIds = ownedClinics.map(c => c.id);
+    const ownPatients = { OR: [{ ownerId: userId }, { clinicId: { in: clinicIds } }] };
+
     // cancel subscriptions
     const subs = await prisma.subscription.findMany({
       where: { userId, status: 'ACTIVE', stripeSubscriptionId: { not: null } },
@@ -161,16 +651,35 @@ router.delete('/delete', csrf, requireAuth, async (req, res) => {
       await stripe.customers.del(user.stripeCustomerId);
     }
 
+    // the images of the caller's own and solo clinics' patients, stored files
+    // included (other clinics' patients stay)
+    const imaging = await prisma.imaging.findMany({ where: { patient: ownPatients } });
+    for (const item of imaging) await deleteImaging(item);
+
     const sessions = await prisma.chatSession.findMany({ where: { userId }, select: { id: true } });
     const chatIds = sessions.map(s => s.id);
 
     await prisma.$transaction([
+      prisma.chatShare.deleteMany({ where: { chatId: { in: chatIds } } }),
+      prisma.messageFeedback.deleteMany({
+        where: { OR: [{ userId }, { message: { chatId: { in: chatIds } } }] }
+      }),
+      prisma.gateDecision.deleteMany({ where: { message: { chatId: { in: chatIds } } } }),
+      prisma.messageAttachment.deleteMany({ where: { message: { chatId: { in: chatIds } } } }),
       prisma.message.deleteMany({ where: { chatId: { in: chatIds } } }),
       prisma.chatSession.deleteMany({ where: { userId } }),
       prisma.notification.deleteMany({ where: { userId } }),
       prisma.subscription.deleteMany({ where: { userId } }),
       prisma.card.deleteMany({ where: { userId } }),
       prisma.oAuthAccount.deleteMany({ where: { userId } }),
+      prisma.authToken.deleteMany({ where: { userId } }),
+      prisma.recoveryCode.deleteMany({ where: { userId } }),
+      prisma.apiKey.deleteMany({ where: { userId } }),
+      prisma.usageCounter.deleteMany({ where: { userId } }),
+      prisma.patient.deleteMany({ where: ownPatients }),
+      prisma.clinic.deleteMany({ where: { id: { in: clinicIds } } }),
+      prisma.refreshToken.deleteMany({ where: { session: { userId } } }),
+      prisma.authSession.deleteMany({ where: { userId } }),
       prisma.user.delete({ where: { id: userId } }),
     ]);
 
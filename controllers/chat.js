@@ -3,66 +3,448 @@ import express from 'express';
 import { ZodError } from 'zod';
 
 import prisma from '../lib/prismaClient.js';
-import { openai } from '../lib/config.js';
+import { llm } from '../lib/llm/index.js';
+import { buildChatContext, contextMessages } from '../lib/chatContext.js';
+import { retrieve, sourcesPrompt, citationsFor } from '../lib/knowledge/index.js';
+import { resolvePrompt } from '../lib/prompts.js';
+import { runGate, publicDecision } from '../lib/gate.js';
+import { AttachmentError, prepareAttachments, storedAttachments, userContent } from '../lib/attachments.js';
+import { recordUsage, usageSummary } from '../lib/usage.js';
+import {
+  DEFAULT_LOCALE,
+  LANGUAGE_NAMES,
+  bidiSafe,
+  detectLanguage,
+  direction,
+  negotiateLocale,
+  refusalText
+} from '../lib/i18n.js';
+import { consumeChatQuota, getChatQuota, sendQuotaExceeded } from '../lib/quotas.js';
 import requireAuth from '../middleware/requireAuth.js';
 import {
   chatRequestSchema,
   chatCountSchema,
-  chatEndSchema
+  chatUsageQuerySchema,
+  chatEndSchema,
+  chatRegenerateSchema,
+  chatEditSchema,
+  chatAppealSchema,
+  messageFeedbackSchema
 } from '../lib/schemas.js';
 
 const router = express.Router();
 router.use(requireAuth);
 
-const GATE_SYSTEM =
-  'Only answer YES or NO. Is this conversation about clinical dentistry, dental biomaterials, or dental procedures?';
-const ASSIST_SYSTEM =
-  'You are DentAssist AI – a professional dental assistant. Format replies with clear headings, bullet points, and add a "🔍 References" section when appropriate.';
+// Answer language: the request's `language` > the user's forced answer
+// language > the detected prompt language > the user's locale >
+// Accept-Language > English. `language: 'auto'` ignores the user setting.
+async function chatLanguage(req, text, requested) {
+  const prefs = await prisma.user.findUnique({
+    where: { id: req.user.id },
+    select: { locale: true, answerLanguage: true }
+  });
+  const detected = detectLanguage(text);
+  const forced = requested === 'auto' ? null : requested ?? prefs?.answerLanguage;
+  const answer = forced ?? detected ?? prefs?.locale ?? negotiateLocale(req) ?? DEFAULT_LOCALE;
+  return { prompt: detected, answer, dir: direction(answer) };
+}
+
+// System prompts (lib/prompts.js) for this user's plan and language: the
+// gate variant follows the prompt's language, the assistant the answer's.
+// The version used is recorded on every BOT message.
+async function chatPrompts(plan, language) {
+  const variant = { plan, locale: language.answer };
+  const [gate, assistant] = await Promise.all([
+    resolvePrompt('GATE', { plan, locale: language.prompt ?? language.answer }),
+    resolvePrompt('ASSISTANT', variant)
+  ]);
+  return { gate, assistant, variant };
+}
+
+function replyBase({ userMessage, language }) {
+  return { sessionId: userMessage.chatId, userMessageId: userMessage.id, language: language.answer, dir: language.dir };
+}
+
+function promptFields(prompt) {
+  return { promptVersion: prompt.label, promptId: prompt.id };
+}
+
+function gate({ context, userMessage, prompts, images, userId, plan }, signal) {
+  return runGate({ context, userMessage, prompt: prompts.gate, images: images.length, userId, plan, signal });
+}
+
+// `call`: { provider, model, usage, messages, output, latencyMs }
+function recordAnswerUsage({ userId, plan }, messageId, call) {
+  return recordUsage({ messageId, userId, plan, purpose: 'ANSWER', ...call });
+}
+
+// Prompts with images attached go to the vision model
+function answerModel({ images }) {
+  return llm(images.length ? 'vision' : 'answer');
+}
+
+// Knowledge-base chunks for the prompt; answering goes on without them if
+// retrieval fails.
+async function retrieveSources(prompt, signal) {
+  try {
+    return await retrieve(prompt, { signal });
+  } catch (err) {
+    if (signal?.aborted) throw err;
+    console.error('Knowledge retrieval failed', err);
+    return [];
+  }
+}
+
+function answerMessages({ context, userMessage, prompts, language, images }, sources) {
+  return contextMessages(
+    `${prompts.assistant.content}\n\n${sourcesPrompt(sources)}\n\nAlways answer in ${LANGUAGE_NAMES[language.answer]}.`,
+    context,
+    userContent(userMessage.content, images)
+  );
+}
+
+// Names an untitled session after its first answered exchange. Runs after the
+// response; failures only cost the title.
+async function generateTitle({ userMessage, prompts }, answer) {
+  try {
+    const session = await prisma.chatSession.findUnique({ where: { id: userMessage.chatId }, select: { title: true } });
+    if (session.title) return;
+
+    const prompt = await resolvePrompt('TITLE', prompts.variant);
+    const { text } = await llm('title').complete({
+      messages: [
+        { role: 'system', content: prompt.content },
+        { role: 'user', content: `Dentist: ${userMessage.content}\n\nDentAssist: ${answer.slice(0, 1000)}` }
+      ]
+    });
+    const title = bidiSafe(text.split('\n').find(l => l.trim()) ?? '')
+      .replace(/^[#\s"'“]+|[\s"'”.]+$/g, '')
+      .slice(0, 80);
+    if (title) {
+      await prisma.chatSession.updateMany({ where: { id: userMessage.chatId, title: null }, data: { title } });
+    }
+  } catch (err) {
+    console.error('Title generation failed', err);
+  }
+}
+
+// Opt in with `stream: true` or `Accept: text/event-stream`; JSON stays the default.
+function wantsStream(req, stream) {
+  return stream === true || Boolean(req.get('accept')?.includes('text/event-stream'));
+}
+
+// Every new message becomes the leaf of the session's active branch
+async function appendMessage(data) {
+  const msg = await prisma.message.create({ data });
+  await prisma.chatSession.update({ where: { id: msg.chatId }, data: { activeLeafId: msg.id } });
+  return msg;
+}
+
+function saveBotMessage({ userMessage, language }, data) {
+  return appendMessage({
+    chatId: userMessage.chatId, role: 'BOT', parentId: userMessage.id, language: language.answer, ...data
+  });
+}
+
+function saveRefusal(turn) {
+  return saveBotMessage(turn, { content: refusalText(turn.language.answer), ...promptFields(turn.prompts.gate) });
+}
 
 router.post('/', async (req, res, next) => {
   try {
-    const { prompt, history, sessionId, title } = chatRequestSchema.parse(req.body);
+    const {
+      prompt, sessionId, title, stream, parentId, language: requested, attachments
+    } = chatRequestSchema.parse(req.body);
 
     let session = sessionId
       ? await prisma.chatSession.findUnique({ where: { id: sessionId } })
-      : await prisma.chatSession.create({ data: { userId: req.user.id, title: title ?? null } });
-    if (!session) return res.status(404).json({ error: 'Session not found' });
+      : null;
+    if (sessionId && session?.userId !== req.user.id) return res.status(404).json({ error: 'Session not found' });
 
-    await prisma.message.create({ data: { chatId: session.id, role: 'USER', content: prompt } });
+    // Continue the active branch unless the client picks another message to follow
+    if (parentId !== undefined) {
+      const parent = session && await prisma.message.findUnique({ where: { id: parentId } });
+      if (!parent || parent.chatId !== session.id) return res.status(404).json({ error: 'Message not found' });
+    }
 
-    const gate = await openai.chat.completions.create({
-      model: process.env.GPT_MODEL,
-      messages: [
-        { role: 'system', content: GATE_SYSTEM },
-        ...(history ?? []).map(h => ({ role: h.role, content: h.text })),
-        { role: 'user', content: prompt }
-      ]
+    const { rows, images } = await prepareAttachments(req.user, attachments);
+    const { allowed, quota } = await consumeChatQuota(req.user.id);
+    if (!allowed) return sendQuotaExceeded(res, quota);
+
+    session ??= await prisma.chatSession.create({ data: { userId: req.user.id, title: title ?? null } });
+
+    const leafId = parentId ?? session.activeLeafId;
+    const language = await chatLanguage(req, prompt, requested);
+    const prompts = await chatPrompts(quota.plan, language);
+    // Context comes from stored messages only, built before this prompt is saved
+    const context = await buildChatContext(session, { leafId });
+    const userMessage = await appendMessage({
+      chatId: session.id, role: 'USER', content: bidiSafe(prompt), parentId: leafId, language: language.prompt,
+      attachments: { create: rows }
+    });
+
+    const turn = { userMessage, context, prompts, language, images, userId: req.user.id, plan: quota.plan };
+    if (wantsStream(req, stream)) return streamReply(req, res, turn);
+    await sendReply(res, turn);
+  } catch (err) {
+    if (err instanceof ZodError) return res.status(400).json({ error: err.errors });
+    if (err instanceof AttachmentError) return res.status(err.status).json({ error: err.message });
+    next(err);
+  }
+});
+
+async function sendReply(res, turn) {
+  const { userMessage, prompts } = turn;
+  const base = replyBase(turn);
+
+  const decision = await gate(turn);
+  const gateInfo = publicDecision(decision);
+  if (!decision.allowed) {
+    const msg = await saveRefusal(turn);
+    return res.json({
+      ...base, messageId: msg.id, answer: msg.content, citations: [], modelUsed: null, dental: false, gate: gateInfo
     });
-    const ok = gate.choices[0].message.content.trim().toLowerCase().startsWith('yes');
-    if (!ok) {
-      const refusal = 'I’m sorry… only dental topics.';
-      await prisma.message.create({ data: { chatId: session.id, role: 'BOT', content: refusal } });
-      return res.json({ sessionId: session.id, answer: refusal, modelUsed: null, dental: false });
+  }
+
+  const sources = await retrieveSources(userMessage.content);
+  const messages = answerMessages(turn, sources);
+  const started = Date.now();
+  const { text, model, provider, usage } = await answerModel(turn).complete({ messages });
+  const latencyMs = Date.now() - started;
+  const answer = bidiSafe(text);
+  const citations = citationsFor(answer, sources);
+  const msg = await saveBotMessage(turn, {
+    content: answer, model, ...promptFields(prompts.assistant), citations
+  });
+  await recordAnswerUsage(turn, msg.id, { provider, model, usage, messages, output: answer, latencyMs });
+  if (!userMessage.parentId) generateTitle(turn, answer);
+
+  res.json({ ...base, messageId: msg.id, answer, citations, modelUsed: model, dental: true, gate: gateInfo });
+}
+
+// ─── Server-Sent Events mode ─────────────────────────────────────────────────
+// Events: `gate` { sessionId, userMessageId, language, dir, dental, gate } →
+// `delta` { text }… → `done` { …, messageId, citations, modelUsed, dental }, or
+// `error` { error }. If the client goes away mid-answer the upstream request
+// is aborted and whatever was generated so far is stored with isPartial = true.
+
+async function streamReply(req, res, turn) {
+  const { userMessage, prompts } = turn;
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  const abort = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) abort.abort();
+  });
+
+  const base = replyBase(turn);
+  let answer = '';
+  let sources = [];
+  // The answer call, for usage accounting
+  const call = { provider: null, model: null, usage: null, messages: [], started: null };
+  const callUsage = () => ({
+    provider: call.provider, model: call.model, usage: call.usage, messages: call.messages,
+    output: answer, latencyMs: Date.now() - call.started
+  });
+  const savePartial = async () => {
+    if (!answer.trim()) return;
+    try {
+      const msg = await saveBotMessage(turn, {
+        content: answer.trim(), isPartial: true, model: call.model, ...promptFields(prompts.assistant),
+        citations: citationsFor(answer, sources)
+      });
+      await recordAnswerUsage(turn, msg.id, callUsage());
+    } catch (e) {
+      console.error(`ERROR [${req.id}] saving partial answer`, e);
     }
+  };
 
-    const answerResp = await openai.chat.completions.create({
-      model: process.env.GPT_MODEL,
-      messages: [
-        { role: 'system', content: ASSIST_SYSTEM },
-        ...(history ?? []).map(h => ({ role: h.role, content: h.text })),
-        { role: 'user', content: prompt }
-      ]
+  try {
+    const decision = await gate(turn, abort.signal);
+    send('gate', { ...base, dental: decision.allowed, gate: publicDecision(decision) });
+
+    if (!decision.allowed) {
+      const msg = await saveRefusal(turn);
+      send('delta', { text: msg.content });
+      send('done', { ...base, messageId: msg.id, citations: [], modelUsed: null, dental: false });
+      return res.end();
+    }
+
+    sources = await retrieveSources(userMessage.content, abort.signal);
+    call.messages = answerMessages(turn, sources);
+    call.started = Date.now();
+    const events = answerModel(turn).stream({
+      messages: call.messages,
+      signal: abort.signal
+    });
+
+    for await (const event of events) {
+      if (event.type === 'meta') Object.assign(call, { provider: event.provider, model: event.model });
+      if (event.type === 'usage') call.usage = event.usage;
+      if (event.type === 'delta') {
+        const text = bidiSafe(event.text);
+        answer += text;
+        send('delta', { text });
+      }
+    }
+
+    const citations = citationsFor(answer, sources);
+    const msg = await saveBotMessage(turn, {
+      content: answer.trim(), model: call.model, ...promptFields(prompts.assistant), citations
+    });
+    await recordAnswerUsage(turn, msg.id, callUsage());
+    if (!userMessage.parentId) generateTitle(turn, answer);
+    answer = '';
+    send('done', { ...base, messageId: msg.id, citations, modelUsed: call.model, dental: true });
+    res.end();
+  } catch (err) {
+    await savePartial();
+    if (abort.signal.aborted) return;
+
+    console.error(`ERROR [${req.id}] chat stream`, err);
+    send('error', { error: 'Internal server error' });
+    res.end();
+  }
+}
+
+// ─── Branches & feedback ─────────────────────────────────────────────────────
+
+async function findOwnMessage(id, userId) {
+  const msg = await prisma.message.findUnique({ where: { id }, include: { chat: true } });
+  return msg?.chat.userId === userId ? msg : null;
+}
+
+// POST regenerate the answer for a USER turn (id may be the USER message or
+// any of its BOT replies). The new answer is a sibling branch of the old ones.
+router.post('/messages/:id/regenerate', async (req, res, next) => {
+  try {
+    const { stream, language: requested } = chatRegenerateSchema.parse(req.body ?? {});
+    const msg = await findOwnMessage(Number(req.params.id), req.user.id);
+    if (!msg) return res.status(404).json({ error: 'Not found' });
+
+    const userMessage = msg.role === 'USER'
+      ? msg
+      : msg.parentId && await prisma.message.findUnique({ where: { id: msg.parentId } });
+    if (!userMessage) return res.status(409).json({ error: 'This message cannot be regenerated' });
+
+    const { images } = await storedAttachments(userMessage.id, req.user);
+    const { allowed, quota } = await consumeChatQuota(req.user.id);
+    if (!allowed) return sendQuotaExceeded(res, quota);
+
+    const language = await chatLanguage(req, userMessage.content, requested);
+    const prompts = await chatPrompts(quota.plan, language);
+    const context = await buildChatContext(msg.chat, { leafId: userMessage.parentId });
+    const turn = { userMessage, context, prompts, language, images, userId: req.user.id, plan: quota.plan };
+    if (wantsStream(req, stream)) return streamReply(req, res, turn);
+    await sendReply(res, turn);
+  } catch (err) {
+    if (err instanceof ZodError) return res.status(400).json({ error: err.errors });
+    if (err instanceof AttachmentError) return res.status(err.status).json({ error: err.message });
+    next(err);
+  }
+});
+
+// POST edit an earlier prompt: the new text becomes a sibling of the USER
+// message, starting a new branch from that point, and is answered as usual.
+router.post('/messages/:id/edit', async (req, res, next) => {
+  try {
+    const { prompt, stream, language: requested, attachments } = chatEditSchema.parse(req.body);
+    const msg = await findOwnMessage(Number(req.params.id), req.user.id);
+    if (!msg) return res.status(404).json({ error: 'Not found' });
+    if (msg.role !== 'USER') return res.status(400).json({ error: 'Only prompts can be edited' });
+
+    const { rows, images } = attachments
+      ? await prepareAttachments(req.user, attachments)
+      : await storedAttachments(msg.id, req.user);
+
+    const { allowed, quota } = await consumeChatQuota(req.user.id);
+    if (!allowed) return sendQuotaExceeded(res, quota);
+
+    const language = await chatLanguage(req, prompt, requested);
+    const prompts = await chatPrompts(quota.plan, language);
+    const context = await buildChatContext(msg.chat, { leafId: msg.parentId });
+    const userMessage = await appendMessage({
+      chatId: msg.chatId, role: 'USER', content: bidiSafe(prompt), parentId: msg.parentId, language: language.prompt,
+      attachments: { create: rows }
+    });
+
+    const turn = { userMessage, context, prompts, language, images, userId: req.user.id, plan: quota.plan };
+    if (wantsStream(req, stream)) return streamReply(req, res, turn);
+    await sendReply(res, turn);
+  } catch (err) {
+    if (err instanceof ZodError) return res.status(400).json({ error: err.errors });
+    if (err instanceof AttachmentError) return res.status(err.status).json({ error: err.message });
+    next(err);
+  }
+});
+
+// POST appeal a refusal (id: the refusal or the refused prompt). Appeals go
+// to the admin review queue; the outcome arrives as a notification.
+router.post('/messages/:id/appeal', async (req, res, next) => {
+  try {
+    const { reason } = chatAppealSchema.parse(req.body ?? {});
+    const msg = await findOwnMessage(Number(req.params.id), req.user.id);
+    if (!msg) return res.status(404).json({ error: 'Not found' });
+
+    const decision = await prisma.gateDecision.findFirst({
+      where: { messageId: msg.role === 'USER' ? msg.id : msg.parentId ?? -1 },
+      orderBy: { id: 'desc' }
     });
-    const answer = answerResp.choices[0].message.content.trim();
-    await prisma.message.create({ data: { chatId: session.id, role: 'BOT', content: answer } });
+    if (!decision || decision.allowed) return res.status(409).json({ error: 'Only refused prompts can be appealed' });
+    if (decision.appealedAt) return res.status(409).json({ error: 'This refusal has already been appealed' });
+
+    const updated = await prisma.gateDecision.update({
+      where: { id: decision.id },
+      data: { appealedAt: new Date(), appealReason: reason ?? null, reviewStatus: 'PENDING' }
+    });
+    res.status(201).json(publicDecision(updated));
+  } catch (err) {
+    if (err instanceof ZodError) return res.status(400).json({ error: err.errors });
+    next(err);
+  }
+});
 
-    res.json({ sessionId: session.id, answer, modelUsed: process.env.GPT_MODEL, dental: true });
+// PUT thumbs up/down (+ optional comment) on a BOT message
+router.put('/messages/:id/feedback', async (req, res, next) => {
+  try {
+    const { rating, comment } = messageFeedbackSchema.parse(req.body);
+    const msg = await findOwnMessage(Number(req.params.id), req.user.id);
+    if (!msg) return res.status(404).json({ error: 'Not found' });
+    if (msg.role !== 'BOT') return res.status(400).json({ error: 'Feedback is only accepted on answers' });
+
+    const data = { rating: rating.toUpperCase(), comment: comment ?? null };
+    const feedback = await prisma.messageFeedback.upsert({
+      where: { messageId_userId: { messageId: msg.id, userId: req.user.id } },
+      update: data,
+      create: { ...data, messageId: msg.id, userId: req.user.id }
+    });
+    res.json(feedback);
   } catch (err) {
     if (err instanceof ZodError) return res.status(400).json({ error: err.errors });
     next(err);
   }
 });
 
+// DELETE my feedback on a message
+router.delete('/messages/:id/feedback', async (req, res, next) => {
+  try {
+    const msg = await findOwnMessage(Number(req.params.id), req.user.id);
+    if (!msg) return res.status(404).json({ error: 'Not found' });
+
+    await prisma.messageFeedback.deleteMany({ where: { messageId: msg.id, userId: req.user.id } });
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+});
+
 router.get('/count', async (req, res, next) => {
   try {
     const { date } = chatCountSchema.parse(req.query);
@@ -75,7 +457,19 @@ router.get('/count', async (req, res, next) => {
         chat: { userId: req.user.id }
       }
     });
-    res.json({ date, count });
+    const quota = await getChatQuota(req.user.id);
+    res.json({ date, count, quota });
+  } catch (err) {
+    if (err instanceof ZodError) return res.status(400).json({ error: err.errors });
+    next(err);
+  }
+});
+
+// GET the caller's token usage and estimated cost per day or month
+router.get('/usage', async (req, res, next) => {
+  try {
+    const query = chatUsageQuerySchema.parse(req.query);
+    res.json(await usageSummary(req.user.id, query));
   } catch (err) {
     if (err instanceof ZodError) return res.status(400).json({ error: err.errors });
     next(err);
@@ -1,7 +1,27 @@
 // controllers/chats.js
+import crypto from 'crypto';
 import express from 'express';
+import { ZodError } from 'zod';
 
 import prisma from '../lib/prismaClient.js';
+import { hashToken } from '../lib/auth.js';
+import { searchChats } from '../lib/chatSearch.js';
+import { branch, latestLeaf } from '../lib/chatThread.js';
+import { direction } from '../lib/i18n.js';
+import { AttachmentError, attachmentContent } from '../lib/attachments.js';
+import {
+  EXPORT_FORMATS,
+  exportFilename,
+  renderSession,
+  streamSessionsZip
+} from '../lib/chatExport.js';
+import {
+  chatSearchSchema,
+  chatExportSchema,
+  chatShareCreateSchema,
+  chatBranchViewSchema,
+  chatBranchSelectSchema
+} from '../lib/schemas.js';
 import requireAuth from '../middleware/requireAuth.js';
 
 const router = express.Router();
@@ -17,15 +37,224 @@ router.get('/', async (req, res) => {
   res.json(sessions);
 });
 
-// GET one session + messages
-router.get('/:id', async (req, res) => {
-  const id = Number(req.params.id);
-  const session = await prisma.chatSession.findUnique({
+// GET full-text search across the caller's messages and titles
+router.get('/search', async (req, res, next) => {
+  try {
+    const params = chatSearchSchema.parse(req.query);
+    const { total, results } = await searchChats(req.user.id, params);
+    res.json({ query: params.q, page: params.page, pageSize: params.pageSize, total, results });
+  } catch (err) {
+    if (err instanceof ZodError) return res.status(400).json({ error: err.errors });
+    next(err);
+  }
+});
+
+// ─── Share links ─────────────────────────────────────────────────────────────
+
+const shareSelect = {
+  id: true, chatId: true, createdAt: true, expiresAt: true,
+  revokedAt: true, viewCount: true, lastViewedAt: true,
+};
+
+// GET all of my share links
+router.get('/shares', async (req, res, next) => {
+  try {
+    const shares = await prisma.chatShare.findMany({
+      where: { chat: { userId: req.user.id } },
+      orderBy: { createdAt: 'desc' },
+      select: shareSelect,
+    });
+    res.json(shares);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// DELETE (revoke) a share link
+router.delete('/shares/:shareId', async (req, res, next) => {
+  try {
+    const id = Number(req.params.shareId);
+    const share = await prisma.chatShare.findUnique({ where: { id }, include: { chat: { select: { userId: true } } } });
+    if (!share || share.chat.userId !== req.user.id) return res.status(404).json({ error: 'Not found' });
+
+    if (!share.revokedAt) {
+      await prisma.chatShare.update({ where: { id }, data: { revokedAt: new Date() } });
+    }
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET share links of one session
+router.get('/:id/shares', async (req, res, next) => {
+  try {
+    const id = Number(req.params.id);
+    const session = await prisma.chatSession.findUnique({ where: { id } });
+    if (!session || session.userId !== req.user.id) return res.status(404).json({ error: 'Not found' });
+
+    const shares = await prisma.chatShare.findMany({
+      where: { chatId: id },
+      orderBy: { createdAt: 'desc' },
+      select: shareSelect,
+    });
+    res.json(shares);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST create a share link — the URL is only returned here
+router.post('/:id/shares', async (req, res, next) => {
+  try {
+    const { expiresAt } = chatShareCreateSchema.parse(req.body ?? {});
+    const id = Number(req.params.id);
+    const session = await prisma.chatSession.findUnique({ where: { id } });
+    if (!session || session.userId !== req.user.id) return res.status(404).json({ error: 'Not found' });
+
+    const token = crypto.randomBytes(24).toString('base64url');
+    const share = await prisma.chatShare.create({
+      data: { chatId: id, tokenHash: hashToken(token), expiresAt: expiresAt ? new Date(expiresAt) : null },
+      select: shareSelect,
+    });
+    res.status(201).json({ ...share, token, url: `${process.env.FRONTEND_ORIGIN}/shared/${token}` });
+  } catch (err) {
+    if (err instanceof ZodError) return res.status(400).json({ error: err.errors });
+    next(err);
+  }
+});
+
+// ─── Export ──────────────────────────────────────────────────────────────────
+
+const exportInclude = { messages: { orderBy: { id: 'asc' } } };
+
+// `dir` tells clients how to lay out each message (null: unknown language)
+function withBranch(session, leafId = session.activeLeafId) {
+  const messages = branch(session.messages, leafId)
+    .map(m => ({ ...m, dir: m.language ? direction(m.language) : null }));
+  return { ...session, messages };
+}
+
+// GET all sessions as a zip (one file per session)
+router.get('/export', async (req, res, next) => {
+  try {
+    const { format } = chatExportSchema.parse(req.query);
+    const sessions = await prisma.chatSession.findMany({
+      where: { userId: req.user.id },
+      orderBy: { startedAt: 'asc' },
+      include: exportInclude,
+    });
+
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="dentassist-chats-${format}.zip"`,
+    });
+    await streamSessionsZip(sessions.map(s => withBranch(s)), format, res);
+  } catch (err) {
+    if (err instanceof ZodError) return res.status(400).json({ error: err.errors });
+    // Once the zip has started, streamSessionsZip() has already ended the response
+    if (res.headersSent) return;
+    res.removeHeader('Content-Disposition');
+    next(err);
+  }
+});
+
+// GET one session as md | json | pdf
+router.get('/:id/export', async (req, res, next) => {
+  try {
+    const { format } = chatExportSchema.parse(req.query);
+    const id = Number(req.params.id);
+    const session = await prisma.chatSession.findUnique({ where: { id }, include: exportInclude });
+    if (!session || session.userId !== req.user.id) return res.status(404).json({ error: 'Not found' });
+
+    const { ext, contentType } = EXPORT_FORMATS[format];
+    res.set({
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="${exportFilename(session, ext)}"`,
+    });
+    res.send(await renderSession(withBranch(session), format));
+  } catch (err) {
+    if (err instanceof ZodError) return res.status(400).json({ error: err.errors });
+    next(err);
+  }
+});
+
+// ─── Session & branches ──────────────────────────────────────────────────────
+
+// Attachment metadata; the bytes are served by GET /:id/attachments/:attachmentId
+const attachmentSelect = {
+  id: true, source: true, name: true, mimeType: true, size: true, imagingId: true, xrayFileId: true, createdAt: true
+};
+
+function findSessionWithMessages(id, userId) {
+  return prisma.chatSession.findUnique({
     where: { id },
-    include: { messages: { orderBy: { createdAt: 'asc' } } }
+    include: {
+      messages: {
+        orderBy: { id: 'asc' },
+        include: {
+          feedback: { where: { userId }, select: { rating: true, comment: true } },
+          attachments: { orderBy: { id: 'asc' }, select: attachmentSelect }
+        }
+      }
+    }
   });
-  if (!session || session.userId !== req.user.id) return res.status(404).json({ error: 'Not found' });
-  res.json(session);
+}
+
+// GET one session with the messages of its active branch, or of the newest
+// branch through ?messageId= (e.g. a sibling picked from `siblingIds`)
+router.get('/:id', async (req, res, next) => {
+  try {
+    const { messageId } = chatBranchViewSchema.parse(req.query);
+    const session = await findSessionWithMessages(Number(req.params.id), req.user.id);
+    if (!session || session.userId !== req.user.id) return res.status(404).json({ error: 'Not found' });
+
+    if (messageId === undefined) return res.json(withBranch(session));
+    if (!session.messages.some(m => m.id === messageId)) return res.status(404).json({ error: 'Message not found' });
+    res.json(withBranch(session, latestLeaf(session.messages, messageId)));
+  } catch (err) {
+    if (err instanceof ZodError) return res.status(400).json({ error: err.errors });
+    next(err);
+  }
+});
+
+// GET the image of one attachment in the session
+router.get('/:id/attachments/:attachmentId', async (req, res, next) => {
+  try {
+    const attachment = await prisma.messageAttachment.findUnique({
+      where: { id: Number(req.params.attachmentId) },
+      include: { message: { select: { chat: { select: { id: true, userId: true } } } } },
+    });
+    const chat = attachment?.message.chat;
+    if (!chat || chat.id !== Number(req.params.id) || chat.userId !== req.user.id) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    const content = await attachmentContent(attachment, req.user);
+    if (!content) return res.status(404).json({ error: 'Not found' });
+    res.set({ 'Content-Type': content.mimeType, 'Cache-Control': 'private, max-age=3600' });
+    res.send(content.data);
+  } catch (err) {
+    if (err instanceof AttachmentError) return res.status(err.status).json({ error: err.message });
+    next(err);
+  }
+});
+
+// PUT make the newest branch through `messageId` the active one
+router.put('/:id/branch', async (req, res, next) => {
+  try {
+    const { messageId } = chatBranchSelectSchema.parse(req.body);
+    const session = await findSessionWithMessages(Number(req.params.id), req.user.id);
+    if (!session || session.userId !== req.user.id) return res.status(404).json({ error: 'Not found' });
+    if (!session.messages.some(m => m.id === messageId)) return res.status(404).json({ error: 'Message not found' });
+
+    const activeLeafId = latestLeaf(session.messages, messageId);
+    await prisma.chatSession.update({ where: { id: session.id }, data: { activeLeafId } });
+    res.json(withBranch({ ...session, activeLeafId }));
+  } catch (err) {
+    if (err instanceof ZodError) return res.status(400).json({ error: err.errors });
+    next(err);
+  }
 });
 
 // POST create session
@@ -0,0 +1,116 @@
+// controllers/clinics.js
+// Clinics group users who share patients. Any user can create one and
+// becomes its owner; owners manage the member list.
+import express from 'express';
+import { ZodError } from 'zod';
+
+import prisma from '../lib/prismaClient.js';
+import requireAuth from '../middleware/requireAuth.js';
+import { normalizeEmail } from '../lib/normalize.js';
+import { clinicMembership } from '../lib/patients.js';
+import { clinicCreateSchema, clinicMemberSchema } from '../lib/schemas.js';
+
+const router = express.Router();
+router.use(requireAuth);
+
+const memberSelect = { role: true, createdAt: true, user: { select: { id: true, name: true, email: true } } };
+
+async function isLastOwner(clinicId, userId) {
+  const owners = await prisma.clinicMember.findMany({ where: { clinicId, role: 'OWNER' }, select: { userId: true }, take: 2 });
+  return owners.length === 1 && owners[0].userId === userId;
+}
+
+// GET the caller's clinics with their role in each
+router.get('/', async (req, res, next) => {
+  try {
+    const memberships = await prisma.clinicMember.findMany({
+      where: { userId: req.user.id },
+      orderBy: { createdAt: 'asc' },
+      include: { clinic: true },
+    });
+    res.json(memberships.map(m => ({ ...m.clinic, role: m.role })));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST create a clinic owned by the caller
+router.post('/', async (req, res, next) => {
+  try {
+    const { name } = clinicCreateSchema.parse(req.body);
+    const clinic = await prisma.clinic.create({
+      data: { name, members: { create: { userId: req.user.id, role: 'OWNER' } } },
+    });
+    res.status(201).json({ ...clinic, role: 'OWNER' });
+  } catch (err) {
+    if (err instanceof ZodError) return res.status(400).json({ error: err.errors });
+    next(err);
+  }
+});
+
+// GET one clinic with its members
+router.get('/:id', async (req, res, next) => {
+  try {
+    const id = Number(req.params.id);
+    if (!await clinicMembership(id, req.user.id)) return res.status(404).json({ error: 'Not found' });
+
+    const clinic = await prisma.clinic.findUnique({
+      where: { id },
+      include: { members: { orderBy: { createdAt: 'asc' }, select: memberSelect }, _count: { select: { patients: true } } },
+    });
+    res.json(clinic);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST add a member by email, or change their role (owners only)
+router.post('/:id/members', async (req, res, next) => {
+  try {
+    const { email, role } = clinicMemberSchema.parse(req.body);
+    const id = Number(req.params.id);
+    const membership = await clinicMembership(id, req.user.id);
+    if (!membership) return res.status(404).json({ error: 'Not found' });
+    if (membership.role !== 'OWNER') return res.status(403).json({ error: 'Forbidden' });
+
+    const user = await prisma.user.findUnique({ where: { email: normalizeEmail(email) } });
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (role !== 'OWNER' && await isLastOwner(id, user.id)) {
+      return res.status(409).json({ error: 'A clinic needs at least one owner' });
+    }
+
+    const member = await prisma.clinicMember.upsert({
+      where: { clinicId_userId: { clinicId: id, userId: user.id } },
+      create: { clinicId: id, userId: user.id, role },
+      update: { role },
+      select: memberSelect,
+    });
+    res.status(201).json(member);
+  } catch (err) {
+    if (err instanceof ZodError) return res.status(400).json({ error: err.errors });
+    next(err);
+  }
+});
+
+// DELETE remove a member (owners), or leave the clinic (anyone). The last
+// owner cannot leave.
+router.delete('/:id/members/:userId', async (req, res, next) => {
+  try {
+    const id = Number(req.params.id);
+    const userId = Number(req.params.userId);
+    const membership = await clinicMembership(id, req.user.id);
+    if (!membership) return res.status(404).json({ error: 'Not found' });
+    if (userId !== req.user.id && membership.role !== 'OWNER') return res.status(403).json({ error: 'Forbidden' });
+
+    const target = await clinicMembership(id, userId);
+    if (!target) return res.status(404).json({ error: 'Not found' });
+    if (await isLastOwner(id, userId)) return res.status(409).json({ error: 'A clinic needs at least one owner' });
+
+    await prisma.clinicMember.delete({ where: { id: target.id } });
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
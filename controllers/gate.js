@@ -0,0 +1,174 @@
+// controllers/gate.js
+// Admin review of topic-gate decisions and the allow/deny examples fed back
+// into the gate prompt (mounted at /api/admin/gate behind `gate:read` /
+// `gate:write`).
+import express from 'express';
+import { ZodError } from 'zod';
+
+import prisma from '../lib/prismaClient.js';
+import requireAuth from '../middleware/requireAuth.js';
+import { invalidateGateExamples } from '../lib/gate.js';
+import {
+  gateDecisionListSchema,
+  gateReviewSchema,
+  gateExampleCreateSchema,
+  gateExampleUpdateSchema
+} from '../lib/schemas.js';
+
+const router = express.Router();
+router.use(requireAuth);
+
+const decisionInclude = {
+  message: { select: { id: true, content: true, createdAt: true, chatId: true, chat: { select: { userId: true } } } },
+};
+
+// ─── Decisions ───────────────────────────────────────────────────────────────
+
+// GET the review queue: appealed refusals awaiting review by default, oldest
+// appeal first. `status=ALL` lists every decision (e.g. with allowed=false and
+// maxConfidence to hunt for doubtful refusals that nobody appealed).
+router.get('/decisions', async (req, res, next) => {
+  try {
+    const { status, allowed, maxConfidence, page, pageSize } = gateDecisionListSchema.parse(req.query);
+    const where = {
+      ...(status === 'ALL' ? {} : { reviewStatus: status }),
+      ...(allowed === undefined ? {} : { allowed }),
+      ...(maxConfidence === undefined ? {} : { confidence: { lte: maxConfidence } }),
+    };
+    const [total, decisions] = await Promise.all([
+      prisma.gateDecision.count({ where }),
+      prisma.gateDecision.findMany({
+        where,
+        orderBy: status === 'PENDING' ? { appealedAt: 'asc' } : { createdAt: 'desc' },
+        skip: (page - 1) * pageSize,
+        take: pageSize,
+        include: decisionInclude,
+      }),
+    ]);
+    res.json({ page, pageSize, total, decisions });
+  } catch (err) {
+    if (err instanceof ZodError) return res.status(400).json({ error: err.errors });
+    next(err);
+  }
+});
+
+// GET one decision
+router.get('/decisions/:id', async (req, res, next) => {
+  try {
+    const decision = await prisma.gateDecision.findUnique({
+      where: { id: Number(req.params.id) },
+      include: { ...decisionInclude, examples: true },
+    });
+    if (!decision) return res.status(404).json({ error: 'Not found' });
+    res.json(decision);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST review a decision. The user is notified when their appeal is decided.
+router.post('/decisions/:id/review', async (req, res, next) => {
+  try {
+    const { outcome, note, addExample } = gateReviewSchema.parse(req.body);
+    const id = Number(req.params.id);
+    const decision = await prisma.gateDecision.findUnique({ where: { id }, include: decisionInclude });
+    if (!decision) return res.status(404).json({ error: 'Not found' });
+
+    const overturned = outcome === 'OVERTURNED';
+    const ops = [
+      prisma.gateDecision.update({
+        where: { id },
+        data: { reviewStatus: outcome, reviewNote: note ?? null, reviewedAt: new Date(), reviewedById: req.user.id },
+      }),
+    ];
+    if (addExample) {
+      ops.push(prisma.gateExample.create({
+        data: {
+          // A false refusal becomes an allow example and vice versa
+          text: decision.message.content,
+          allowed: overturned ? !decision.allowed : decision.allowed,
+          note: note ?? null,
+          createdById: req.user.id,
+          sourceDecisionId: id,
+        },
+      }));
+    }
+    if (decision.appealedAt) {
+      ops.push(prisma.notification.create({
+        data: {
+          userId: decision.message.chat.userId,
+          title: overturned ? 'Your appeal was accepted' : 'Your appeal was reviewed',
+          body: overturned
+            ? 'We agree your question should have been answered. You can regenerate the answer in that conversation.'
+            : `We reviewed your appeal and the refusal stands.${note ? ` Reviewer note: ${note}` : ''}`,
+        },
+      }));
+    }
+
+    const [updated] = await prisma.$transaction(ops);
+    if (addExample) invalidateGateExamples();
+    res.json(updated);
+  } catch (err) {
+    if (err instanceof ZodError) return res.status(400).json({ error: err.errors });
+    next(err);
+  }
+});
+
+// ─── Examples ────────────────────────────────────────────────────────────────
+
+// GET all examples, newest first
+router.get('/examples', async (req, res, next) => {
+  try {
+    const examples = await prisma.gateExample.findMany({ orderBy: { createdAt: 'desc' } });
+    res.json(examples);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST add an example by hand
+router.post('/examples', async (req, res, next) => {
+  try {
+    const data = gateExampleCreateSchema.parse(req.body);
+    const example = await prisma.gateExample.create({ data: { ...data, createdById: req.user.id } });
+    invalidateGateExamples();
+    res.status(201).json(example);
+  } catch (err) {
+    if (err instanceof ZodError) return res.status(400).json({ error: err.errors });
+    next(err);
+  }
+});
+
+// PATCH enable/disable an example or edit its note
+router.patch('/examples/:id', async (req, res, next) => {
+  try {
+    const data = gateExampleUpdateSchema.parse(req.body);
+    const id = Number(req.params.id);
+    const existing = await prisma.gateExample.findUnique({ where: { id } });
+    if (!existing) return res.status(404).json({ error: 'Not found' });
+
+    const example = await prisma.gateExample.update({ where: { id }, data });
+    invalidateGateExamples();
+    res.json(example);
+  } catch (err) {
+    if (err instanceof ZodError) return res.status(400).json({ error: err.errors });
+    next(err);
+  }
+});
+
+// DELETE an example
+router.delete('/examples/:id', async (req, res, next) => {
+  try {
+    const id = Number(req.params.id);
+    const existing = await prisma.gateExample.findUnique({ where: { id } });
+    if (!existing) return res.status(404).json({ error: 'Not found' });
+
+    await prisma.gateExample.delete({ where: { id } });
+    invalidateGateExamples();
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
@@ -0,0 +1,160 @@
+// controllers/imaging.js
+// The caller's imaging library: every image of the patients they can access
+// (lib/patients.js). Uploads go through POST /api/xray-upload; downloads use
+// short-lived signed URLs so the bytes can be fetched without credentials
+// (e.g. by an <img> tag or a DICOM viewer).
+import { pipeline } from 'stream/promises';
+import express from 'express';
+import { ZodError } from 'zod';
+
+import prisma from '../lib/prismaClient.js';
+import requireAuth from '../middleware/requireAuth.js';
+import { accessiblePatients } from '../lib/patients.js';
+import { rangeEnd } from '../lib/normalize.js';
+import {
+  findImaging,
+  imagingRendition,
+  openImaging,
+  deleteImaging,
+  imagingDownloadUrl,
+  imagingForDownloadToken,
+  inlineDisposition,
+} from '../lib/xrays.js';
+import { imagingListSchema, imagingUpdateSchema, imagingDownloadSchema } from '../lib/schemas.js';
+
+const router = express.Router();
+router.use(requireAuth);
+
+// Storage location stays internal; clients download through signed URLs
+const imagingSelect = {
+  id: true,
+  name: true,
+  originalName: true,
+  tag: true,
+  mimeType: true,
+  size: true,
+  checksum: true,
+  modality: true,
+  studyDate: true,
+  dicomPatientId: true,
+  pixelSpacing: true,
+  anonymized: true,
+  createdAt: true,
+  patient: { select: { id: true, name: true, chartNumber: true, clinicId: true } },
+  uploadedBy: { select: { id: true, name: true } },
+};
+
+function selectImaging(id, userId) {
+  return prisma.imaging.findFirst({ where: { id, patient: accessiblePatients(userId) }, select: imagingSelect });
+}
+
+// GET the caller's imaging, newest first; filter by patient, tag and upload date
+router.get('/', async (req, res, next) => {
+  try {
+    const { patientId, tag, from, to, page, pageSize } = imagingListSchema.parse(req.query);
+    const where = {
+      patient: accessiblePatients(req.user.id),
+      ...(patientId ? { patientId } : {}),
+      ...(tag ? { tag } : {}),
+      ...(from || to ? { createdAt: {
+        ...(from ? { gte: new Date(from) } : {}),
+        ...(to ? { lt: rangeEnd(to) } : {}),
+      } } : {}),
+    };
+    const [total, imaging] = await Promise.all([
+      prisma.imaging.count({ where }),
+      prisma.imaging.findMany({
+        where,
+        orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+        skip: (page - 1) * pageSize,
+        take: pageSize,
+        select: imagingSelect,
+      }),
+    ]);
+    res.json({ page, pageSize, total, imaging });
+  } catch (err) {
+    if (err instanceof ZodError) return res.status(400).json({ error: err.errors });
+    next(err);
+  }
+});
+
+// GET one image's metadata
+router.get('/:id', async (req, res, next) => {
+  try {
+    const imaging = await selectImaging(Number(req.params.id), req.user.id);
+    if (!imaging) return res.status(404).json({ error: 'Not found' });
+    res.json(imaging);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET a signed download URL → { url, expiresAt } (XRAY_URL_TTL seconds).
+// ?rendition=preview|thumbnail for DICOM and TIFF; other images return the
+// original for every rendition.
+router.get('/:id/download-url', async (req, res, next) => {
+  try {
+    const { rendition } = imagingDownloadSchema.parse(req.query);
+    const imaging = await findImaging(Number(req.params.id), req.user.id);
+    if (!imaging) return res.status(404).json({ error: 'Not found' });
+    res.set('Cache-Control', 'no-store');
+    res.json(await imagingDownloadUrl(imaging, `${req.protocol}://${req.get('host')}`, rendition));
+  } catch (err) {
+    if (err instanceof ZodError) return res.status(400).json({ error: err.errors });
+    next(err);
+  }
+});
+
+// PATCH rename and/or re-tag an image
+router.patch('/:id', async (req, res, next) => {
+  try {
+    const data = imagingUpdateSchema.parse(req.body);
+    const existing = await findImaging(Number(req.params.id), req.user.id);
+    if (!existing) return res.status(404).json({ error: 'Not found' });
+
+    const imaging = await prisma.imaging.update({ where: { id: existing.id }, data, select: imagingSelect });
+    res.json(imaging);
+  } catch (err) {
+    if (err instanceof ZodError) return res.status(400).json({ error: err.errors });
+    next(err);
+  }
+});
+
+// DELETE an image and its stored object
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const imaging = await findImaging(Number(req.params.id), req.user.id);
+    if (!imaging) return res.status(404).json({ error: 'Not found' });
+    await deleteImaging(imaging);
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/imaging/files/:token — public; the token from GET
+ * /:id/download-url is the credential. Streams the stored object.
+ */
+export async function imagingFileHandler(req, res, next) {
+  try {
+    const download = await imagingForDownloadToken(req.params.token);
+    const object = download && await openImaging(download.imaging, download.rendition);
+    if (!object) return res.status(404).json({ error: 'Not found' });
+
+    const { mimeType, name } = imagingRendition(download.imaging, download.rendition);
+    res.set({
+      'Content-Type': mimeType,
+      'Content-Disposition': inlineDisposition(name),
+      'Cache-Control': 'private, no-store',
+      ...(object.size ? { 'Content-Length': String(object.size) } : {}),
+    });
+    await pipeline(object.body, res);
+  } catch (err) {
+    // Once streaming has started, pipeline() has already closed the response
+    if (res.headersSent) return;
+    next(err);
+  }
+}
+
+export default router;
@@ -0,0 +1,152 @@
+// controllers/knowledge.js
+// Admin management of the RAG knowledge base (mounted at /api/admin/knowledge
+// behind `knowledge:read` / `knowledge:write`).
+import express from 'express';
+import multer from 'multer';
+import { ZodError } from 'zod';
+
+import prisma from '../lib/prismaClient.js';
+import requireAuth from '../middleware/requireAuth.js';
+import { ingestDocument, reindexDocument, retrieve } from '../lib/knowledge/index.js';
+import {
+  knowledgeDocumentUploadSchema,
+  knowledgeDocumentUpdateSchema,
+  knowledgeSearchSchema
+} from '../lib/schemas.js';
+
+const router = express.Router();
+router.use(requireAuth);
+
+const MAX_UPLOAD_MB = Number(process.env.KB_MAX_UPLOAD_MB) || 25;
+
+// Kept in memory: the file is parsed once and only its chunks are stored
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_UPLOAD_MB * 1024 * 1024, files: 1 } });
+
+function uploadFile(req, res, next) {
+  upload.single('file')(req, res, err => {
+    if (err instanceof multer.MulterError) {
+      return res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ error: err.message });
+    }
+    next(err);
+  });
+}
+
+const INGEST_ERRORS = {
+  unsupported_type: [415, 'Only PDF, Markdown and plain-text files are supported'],
+  duplicate: [409, 'This file is already in the knowledge base'],
+  empty: [422, 'No text could be extracted from this file'],
+  failed: [422, 'The file could not be processed'],
+};
+
+const documentInclude = { _count: { select: { chunks: true } } };
+
+// GET all documents
+router.get('/documents', async (req, res, next) => {
+  try {
+    const documents = await prisma.knowledgeDocument.findMany({
+      orderBy: { createdAt: 'desc' },
+      include: documentInclude,
+    });
+    res.json(documents);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST upload a PDF / Markdown / text file (multipart field `file`, optional `title`)
+router.post('/documents', uploadFile, async (req, res, next) => {
+  try {
+    const { title } = knowledgeDocumentUploadSchema.parse(req.body ?? {});
+    if (!req.file) return res.status(400).json({ error: 'Missing file' });
+
+    const { document, error } = await ingestDocument({
+      buffer: req.file.buffer,
+      filename: req.file.originalname,
+      title,
+      uploadedById: req.user.id,
+    });
+    if (error) {
+      const [status, message] = INGEST_ERRORS[error];
+      return res.status(status).json({ error: message, document });
+    }
+    res.status(201).json(document);
+  } catch (err) {
+    if (err instanceof ZodError) return res.status(400).json({ error: err.errors });
+    next(err);
+  }
+});
+
+// GET try retrieval against the corpus, as chat answers would
+router.get('/search', async (req, res, next) => {
+  try {
+    const { q, limit } = knowledgeSearchSchema.parse(req.query);
+    res.json(await retrieve(q, { limit }));
+  } catch (err) {
+    if (err instanceof ZodError) return res.status(400).json({ error: err.errors });
+    next(err);
+  }
+});
+
+// GET one document with its chunks (no vectors)
+router.get('/documents/:id', async (req, res, next) => {
+  try {
+    const document = await prisma.knowledgeDocument.findUnique({
+      where: { id: Number(req.params.id) },
+      include: {
+        chunks: {
+          orderBy: { ordinal: 'asc' },
+          select: { id: true, ordinal: true, page: true, section: true, content: true, tokenCount: true, embeddingModel: true },
+        },
+      },
+    });
+    if (!document) return res.status(404).json({ error: 'Not found' });
+    res.json(document);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// PATCH rename or enable/disable a document
+router.patch('/documents/:id', async (req, res, next) => {
+  try {
+    const data = knowledgeDocumentUpdateSchema.parse(req.body);
+    const id = Number(req.params.id);
+    const existing = await prisma.knowledgeDocument.findUnique({ where: { id } });
+    if (!existing) return res.status(404).json({ error: 'Not found' });
+
+    const document = await prisma.knowledgeDocument.update({ where: { id }, data, include: documentInclude });
+    res.json(document);
+  } catch (err) {
+    if (err instanceof ZodError) return res.status(400).json({ error: err.errors });
+    next(err);
+  }
+});
+
+// POST re-embed a document with the current embedding provider
+router.post('/documents/:id/reindex', async (req, res, next) => {
+  try {
+    const id = Number(req.params.id);
+    const existing = await prisma.knowledgeDocument.findUnique({ where: { id } });
+    if (!existing) return res.status(404).json({ error: 'Not found' });
+
+    res.json(await reindexDocument(id));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// DELETE a document and its chunks (answers keep their stored citations)
+router.delete('/documents/:id', async (req, res, next) => {
+  try {
+    const id = Number(req.params.id);
+    const existing = await prisma.knowledgeDocument.findUnique({ where: { id } });
+    if (!existing) return res.status(404).json({ error: 'Not found' });
+
+    await prisma.knowledgeDocument.delete({ where: { id } });
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
@@ -0,0 +1,126 @@
+// controllers/patients.js
+// Patient records, owned by the caller or by one of their clinics
+// (lib/patients.js). `chartNumber` links a patient to the practice
+// management system and is unique per owner.
+import express from 'express';
+import { ZodError } from 'zod';
+
+import prisma from '../lib/prismaClient.js';
+import requireAuth from '../middleware/requireAuth.js';
+import { accessiblePatients, findPatient, patientOwner } from '../lib/patients.js';
+import { deleteImaging } from '../lib/xrays.js';
+import { patientCreateSchema, patientUpdateSchema, patientListSchema } from '../lib/schemas.js';
+
+const router = express.Router();
+router.use(requireAuth);
+
+const withCounts = { _count: { select: { imaging: true } } };
+
+function toDate(value) {
+  return value ? new Date(`${value}T00:00:00Z`) : value;
+}
+
+function chartNumberTaken(res) {
+  return res.status(409).json({ error: 'Chart number already in use' });
+}
+
+// GET patients the caller can access, by name; `q` searches name and chart
+// number, `chartNumber` looks one up exactly
+router.get('/', async (req, res, next) => {
+  try {
+    const { q, chartNumber, clinicId, page, pageSize } = patientListSchema.parse(req.query);
+    const where = {
+      AND: [
+        accessiblePatients(req.user.id),
+        ...(clinicId ? [{ clinicId }] : []),
+        ...(chartNumber ? [{ chartNumber }] : []),
+        ...(q ? [{ OR: [
+          { name: { contains: q, mode: 'insensitive' } },
+          { chartNumber: { startsWith: q, mode: 'insensitive' } },
+        ] }] : []),
+      ],
+    };
+    const [total, patients] = await Promise.all([
+      prisma.patient.count({ where }),
+      prisma.patient.findMany({
+        where,
+        orderBy: [{ name: 'asc' }, { id: 'asc' }],
+        skip: (page - 1) * pageSize,
+        take: pageSize,
+        include: withCounts,
+      }),
+    ]);
+    res.json({ page, pageSize, total, patients });
+  } catch (err) {
+    if (err instanceof ZodError) return res.status(400).json({ error: err.errors });
+    next(err);
+  }
+});
+
+// POST create a patient for the caller, or for `clinicId` if they are a member
+router.post('/', async (req, res, next) => {
+  try {
+    const { clinicId, dateOfBirth, ...data } = patientCreateSchema.parse(req.body);
+    const owner = await patientOwner(req.user.id, clinicId);
+    if (!owner) return res.status(404).json({ error: 'Clinic not found' });
+
+    const patient = await prisma.patient.create({
+      data: { ...data, ...owner, dateOfBirth: toDate(dateOfBirth), createdById: req.user.id },
+    });
+    res.status(201).json(patient);
+  } catch (err) {
+    if (err instanceof ZodError) return res.status(400).json({ error: err.errors });
+    if (err.code === 'P2002') return chartNumberTaken(res);
+    next(err);
+  }
+});
+
+// GET one patient
+router.get('/:id', async (req, res, next) => {
+  try {
+    const patient = await prisma.patient.findFirst({
+      where: { id: Number(req.params.id), ...accessiblePatients(req.user.id) },
+      include: { ...withCounts, clinic: { select: { id: true, name: true } } },
+    });
+    if (!patient) return res.status(404).json({ error: 'Not found' });
+    res.json(patient);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// PATCH update a patient
+router.patch('/:id', async (req, res, next) => {
+  try {
+    const { dateOfBirth, ...data } = patientUpdateSchema.parse(req.body);
+    const existing = await findPatient(Number(req.params.id), req.user.id);
+    if (!existing) return res.status(404).json({ error: 'Not found' });
+
+    const patient = await prisma.patient.update({
+      where: { id: existing.id },
+      data: { ...data, ...(dateOfBirth === undefined ? {} : { dateOfBirth: toDate(dateOfBirth) }) },
+    });
+    res.json(patient);
+  } catch (err) {
+    if (err instanceof ZodError) return res.status(400).json({ error: err.errors });
+    if (err.code === 'P2002') return chartNumberTaken(res);
+    next(err);
+  }
+});
+
+// DELETE a patient with all their imaging, including the stored files
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const patient = await findPatient(Number(req.params.id), req.user.id);
+    if (!patient) return res.status(404).json({ error: 'Not found' });
+
+    const imaging = await prisma.imaging.findMany({ where: { patientId: patient.id } });
+    for (const item of imaging) await deleteImaging(item);
+    await prisma.patient.delete({ where: { id: patient.id } });
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
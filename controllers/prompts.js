@@ -0,0 +1,148 @@
+// controllers/prompts.js
+// Admin management of versioned system prompts (mounted at /api/admin/prompts
+// behind `prompts:read` / `prompts:write`). Versions are immutable: changing
+// the wording means creating and activating a new version.
+import express from 'express';
+import { ZodError } from 'zod';
+
+import prisma from '../lib/prismaClient.js';
+import requireAuth from '../middleware/requireAuth.js';
+import {
+  activatePromptVersion,
+  createPromptVersion,
+  invalidatePromptCache,
+  promptLabel,
+  resolvePrompt
+} from '../lib/prompts.js';
+import {
+  promptVersionCreateSchema,
+  promptVersionUpdateSchema,
+  promptVersionListSchema,
+  promptResolveSchema
+} from '../lib/schemas.js';
+
+const router = express.Router();
+router.use(requireAuth);
+
+const withLabel = (v) => ({ ...v, label: promptLabel(v) });
+
+// GET versions, newest first (?purpose=&plan=&locale=&active=)
+router.get('/', async (req, res, next) => {
+  try {
+    const { purpose, plan, locale, active } = promptVersionListSchema.parse(req.query);
+    const versions = await prisma.promptVersion.findMany({
+      where: { purpose, plan, locale, isActive: active },
+      orderBy: [{ purpose: 'asc' }, { version: 'desc' }],
+      include: { _count: { select: { messages: true } } },
+    });
+    res.json(versions.map(withLabel));
+  } catch (err) {
+    if (err instanceof ZodError) return res.status(400).json({ error: err.errors });
+    next(err);
+  }
+});
+
+// GET the prompt a request with this plan / locale would use
+router.get('/resolve', async (req, res, next) => {
+  try {
+    const { purpose, plan, locale } = promptResolveSchema.parse(req.query);
+    res.json(await resolvePrompt(purpose, { plan, locale }));
+  } catch (err) {
+    if (err instanceof ZodError) return res.status(400).json({ error: err.errors });
+    next(err);
+  }
+});
+
+// GET one version
+router.get('/:id', async (req, res, next) => {
+  try {
+    const version = await prisma.promptVersion.findUnique({
+      where: { id: Number(req.params.id) },
+      include: { _count: { select: { messages: true } } },
+    });
+    if (!version) return res.status(404).json({ error: 'Not found' });
+    res.json(withLabel(version));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST a new version (optionally activating it right away)
+router.post('/', async (req, res, next) => {
+  try {
+    const { activate, ...data } = promptVersionCreateSchema.parse(req.body);
+    let version = await createPromptVersion({ ...data, createdById: req.user.id });
+    if (activate) version = await activatePromptVersion(version.id);
+    res.status(201).json(withLabel(version));
+  } catch (err) {
+    if (err instanceof ZodError) return res.status(400).json({ error: err.errors });
+    if (err.code === 'P2002') return res.status(409).json({ error: 'Another version was created concurrently; retry' });
+    next(err);
+  }
+});
+
+// PATCH the note (the prompt text itself is immutable)
+router.patch('/:id', async (req, res, next) => {
+  try {
+    const { note } = promptVersionUpdateSchema.parse(req.body);
+    const id = Number(req.params.id);
+    const existing = await prisma.promptVersion.findUnique({ where: { id } });
+    if (!existing) return res.status(404).json({ error: 'Not found' });
+
+    const version = await prisma.promptVersion.update({ where: { id }, data: { note } });
+    res.json(withLabel(version));
+  } catch (err) {
+    if (err instanceof ZodError) return res.status(400).json({ error: err.errors });
+    next(err);
+  }
+});
+
+// POST make this the active version for its purpose and variant
+router.post('/:id/activate', async (req, res, next) => {
+  try {
+    const id = Number(req.params.id);
+    const existing = await prisma.promptVersion.findUnique({ where: { id } });
+    if (!existing) return res.status(404).json({ error: 'Not found' });
+
+    res.json(withLabel(await activatePromptVersion(id)));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST deactivate (the variant falls back to a less specific one, or the built-in)
+router.post('/:id/deactivate', async (req, res, next) => {
+  try {
+    const id = Number(req.params.id);
+    const existing = await prisma.promptVersion.findUnique({ where: { id } });
+    if (!existing) return res.status(404).json({ error: 'Not found' });
+
+    const version = await prisma.promptVersion.update({ where: { id }, data: { isActive: false } });
+    invalidatePromptCache();
+    res.json(withLabel(version));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// DELETE a version that is neither active nor referenced by any answer
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const id = Number(req.params.id);
+    const existing = await prisma.promptVersion.findUnique({
+      where: { id },
+      include: { _count: { select: { messages: true } } },
+    });
+    if (!existing) return res.status(404).json({ error: 'Not found' });
+    if (existing.isActive || existing._count.messages) {
+      return res.status(409).json({ error: 'Active or used versions cannot be deleted; deactivate instead' });
+    }
+
+    await prisma.promptVersion.delete({ where: { id } });
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
@@ -0,0 +1,75 @@
+// controllers/shared.js
+// Public, read-only view of a shared chat session. No auth: the token in
+// the URL is the capability, so responses carry no user ids or emails.
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+
+import prisma from '../lib/prismaClient.js';
+import { hashToken } from '../lib/auth.js';
+import { branch } from '../lib/chatThread.js';
+import { direction } from '../lib/i18n.js';
+
+const router = express.Router();
+
+router.use(rateLimit({
+  windowMs: 60_000,
+  max: 30,
+  message: { error: 'Too many requests' },
+  standardHeaders: true,
+  legacyHeaders: false,
+}));
+
+const EMAIL = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+
+function redact(text) {
+  return text.replace(EMAIL, '[email removed]');
+}
+
+// GET /api/shared/:token
+router.get('/:token', async (req, res, next) => {
+  try {
+    const share = await prisma.chatShare.findUnique({
+      where: { tokenHash: hashToken(req.params.token) },
+      include: {
+        chat: {
+          select: {
+            title: true,
+            startedAt: true,
+            endedAt: true,
+            activeLeafId: true,
+            messages: {
+              orderBy: { id: 'asc' },
+              select: { id: true, role: true, content: true, language: true, createdAt: true, parentId: true },
+            },
+          },
+        },
+      },
+    });
+    const expired = share?.expiresAt && share.expiresAt <= new Date();
+    if (!share || share.revokedAt || expired) return res.status(404).json({ error: 'Not found' });
+
+    await prisma.chatShare.update({
+      where: { id: share.id },
+      data: { viewCount: { increment: 1 }, lastViewedAt: new Date() },
+    });
+
+    const { chat } = share;
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      title: chat.title ? redact(chat.title) : null,
+      startedAt: chat.startedAt,
+      endedAt: chat.endedAt,
+      expiresAt: share.expiresAt,
+      messages: branch(chat.messages, chat.activeLeafId).map(m => ({
+        role: m.role,
+        content: redact(m.content),
+        dir: m.language ? direction(m.language) : null,
+        createdAt: m.createdAt,
+      })),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
@@ -4,10 +4,7 @@ import { ZodError } from 'zod';
 
 import prisma from '../lib/prismaClient.js';
 import requireAuth from '../middleware/requireAuth.js';
-import {
-  subscriptionCreateSchema,
-  subscriptionCancelSchema
-} from '../lib/schemas.js';
+import { subscriptionCreateSchema } from '../lib/schemas.js';
 
 const router = express.Router();
 router.use(requireAuth);
@@ -3,18 +3,23 @@ import express from 'express';
 import { ZodError } from 'zod';
 import prisma from '../lib/prismaClient.js';
 import { createUserSchema, updateUserSchema } from '../lib/schemas.js';
+import { hasPermission } from '../lib/permissions.js';
+import { normalizeEmail } from '../lib/normalize.js';
+import { signAccess, setAccessCookie } from '../lib/auth.js';
 import requireAuth from '../middleware/requireAuth.js';
+import { requirePermission, requireSelfOr } from '../middleware/authorize.js';
 
 const router = express.Router();
+router.use(requireAuth);
 
 // GET /api/users/me
 // Returns 401 if user is not authenticated — expected during first visit.
-router.get('/me', requireAuth, (req, res) => {
+router.get('/me', requirePermission('profile:read'), (req, res) => {
   res.json({ user: req.user });
 });
 
-// GET all users
-router.get('/', async (req, res, next) => {
+// GET all users (admin)
+router.get('/', requirePermission('users:read'), async (req, res, next) => {
   try {
     const users = await prisma.user.findMany({
       select: { id: true, name: true, email: true, role: true, createdAt: true },
@@ -25,8 +30,8 @@ router.get('/', async (req, res, next) => {
   }
 });
 
-// GET user by id
-router.get('/:id', async (req, res, next) => {
+// GET user by id (self, or admin)
+router.get('/:id', requireSelfOr('id', { self: 'profile:read', other: 'users:read' }), async (req, res, next) => {
   try {
     const id = Number(req.params.id);
     const user = await prisma.user.findUnique({
@@ -40,8 +45,8 @@ router.get('/:id', async (req, res, next) => {
   }
 });
 
-// CREATE user
-router.post('/', async (req, res, next) => {
+// CREATE user (admin)
+router.post('/', requirePermission('users:create'), async (req, res, next) => {
   try {
     const data = createUserSchema.parse(req.body);
     const exists = await prisma.user.findUnique({ where: { email: data.email } });
@@ -56,12 +61,25 @@ router.post('/', async (req, res, next) => {
   }
 });
 
-// UPDATE user
-router.put('/:id', async (req, res, next) => {
+// UPDATE user (self, or admin). Role and email changes are admin-only.
+router.put('/:id', requireSelfOr('id', { self: 'profile:write', other: 'users:write' }), async (req, res, next) => {
   try {
     const id = Number(req.params.id);
     const data = updateUserSchema.parse(req.body);
+
+    if (!hasPermission(req.user, 'users:write')) {
+      const current = await prisma.user.findUnique({ where: { id }, select: { email: true, role: true } });
+      if (!current) return res.status(404).json({ error: 'Not found' });
+      const changesRole  = data.role !== undefined && data.role !== current.role;
+      const changesEmail = normalizeEmail(data.email) !== current.email;
+      if (changesRole || changesEmail) {
+        return res.status(403).json({ error: 'Forbidden' });
+      }
+    }
+
     const user = await prisma.user.update({ where: { id }, data });
+    // The access token carries the locale errors are translated into
+    if (id === req.user.id && !req.user.apiKeyId) setAccessCookie(res, signAccess(user));
     res.json(user);
   } catch (err) {
     if (err instanceof ZodError) {
@@ -74,8 +92,8 @@ router.put('/:id', async (req, res, next) => {
   }
 });
 
-// DELETE user
-router.delete('/:id', async (req, res, next) => {
+// DELETE user (admin; users delete themselves via DELETE /api/auth/delete)
+router.delete('/:id', requirePermission('users:delete'), async (req, res, next) => {
   try {
     const id = Number(req.params.id);
     await prisma.user.delete({ where: { id } });
@@ -0,0 +1,19 @@
+// eslint.config.js
+import js from '@eslint/js';
+import globals from 'globals';
+
+export default [
+  { ignores: ['node_modules/', 'storage/', 'mail-outbox/'] },
+  js.configs.recommended,
+  {
+    languageOptions: {
+      ecmaVersion: 'latest',
+      sourceType: 'module',
+      globals: globals.node,
+    },
+    rules: {
+      // Express tells error handlers apart by arity; `{ secret: _, ...rest }` drops fields
+      'no-unused-vars': ['error', { args: 'none', ignoreRestSiblings: true }],
+    },
+  },
+];
@@ -0,0 +1,66 @@
+// lib/apiKeys.js
+import crypto from 'crypto';
+import prisma from './prismaClient.js';
+import { hashToken } from './auth.js';
+
+// Keys look like `dg_<prefix>_<secret>`. The prefix is stored in clear so
+// users can tell keys apart; only the hash of the whole key is kept.
+const KEY_PATTERN = /^dg_([a-f0-9]{12})_([A-Za-z0-9_-]{43})$/;
+const LAST_USED_RESOLUTION_MS = 60_000;
+
+export function isApiKey(value) {
+  return typeof value === 'string' && KEY_PATTERN.test(value);
+}
+
+export async function createApiKey(userId, { name, scopes, expiresAt }) {
+  const prefix = crypto.randomBytes(6).toString('hex');
+  const key = `dg_${prefix}_${crypto.randomBytes(32).toString('base64url')}`;
+
+  const record = await prisma.apiKey.create({
+    data: {
+      userId,
+      name,
+      prefix,
+      keyHash: hashToken(key),
+      scopes,
+      expiresAt: expiresAt ? new Date(expiresAt) : null,
+    },
+  });
+  return { key, record };
+}
+
+/**
+ * Resolves a raw key to `{ user, apiKey }`, or null when it is unknown,
+ * revoked or expired. Touches `lastUsedAt` (at most once a minute).
+ */
+export async function authenticateApiKey(raw) {
+  if (!isApiKey(raw)) return null;
+
+  const apiKey = await prisma.apiKey.findUnique({
+    where: { keyHash: hashToken(raw) },
+    include: { user: { select: { id: true, role: true, locale: true } } },
+  });
+  const now = new Date();
+  if (!apiKey || apiKey.revokedAt || (apiKey.expiresAt && apiKey.expiresAt <= now)) {
+    return null;
+  }
+
+  if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt > LAST_USED_RESOLUTION_MS) {
+    await prisma.apiKey.update({ where: { id: apiKey.id }, data: { lastUsedAt: now } });
+  }
+  return { user: apiKey.user, apiKey };
+}
+
+/** Public view of a key record — never includes the hash. */
+export function serializeApiKey(k) {
+  return {
+    id: k.id,
+    name: k.name,
+    prefix: k.prefix,
+    scopes: k.scopes,
+    createdAt: k.createdAt,
+    expiresAt: k.expiresAt,
+    revokedAt: k.revokedAt,
+    lastUsedAt: k.lastUsedAt,
+  };
+}
@@ -0,0 +1,115 @@
+// lib/attachments.js
+// Images attached to a chat prompt: either sent inline (base64, stored on
+// the MessageAttachment) or a reference to an x-ray uploaded through
+// /api/xray-upload (its Imaging record, fetched when needed), which needs
+// `xray:read`. The image type is sniffed from the bytes; declared types are
+// not trusted.
+import prisma from './prismaClient.js';
+import { hasPermission } from './permissions.js';
+import { sniffImageType } from './fileTypes.js';
+import { findImaging, readImaging, readXray } from './xrays.js';
+
+export const MAX_IMAGE_BYTES = Number(process.env.CHAT_IMAGE_MAX_BYTES) || 5 * 1024 * 1024;
+
+/** Rejected attachment; the message is safe to return to the client. */
+export class AttachmentError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Chat-only API keys must not reach x-rays through attachments
+function checkXrayAccess(user) {
+  if (!hasPermission(user, 'xray:read')) throw new AttachmentError('Forbidden', 403);
+}
+
+// Accepts bare base64 or a `data:<type>;base64,` URL
+function decodeBase64(data) {
+  const base64 = data.replace(/^data:[^;,]*;base64,/, '').replace(/\s+/g, '');
+  if (!/^[A-Za-z0-9+/]*={0,2}$/.test(base64)) throw new AttachmentError('Attachment is not valid base64');
+  return Buffer.from(base64, 'base64');
+}
+
+function checkImage(buffer, label) {
+  if (buffer.length > MAX_IMAGE_BYTES) throw new AttachmentError(`${label} is larger than ${MAX_IMAGE_BYTES} bytes`);
+  const mimeType = sniffImageType(buffer);
+  if (!mimeType) throw new AttachmentError(`${label} is not a PNG, JPEG, WebP or GIF image`);
+  return mimeType;
+}
+
+/**
+ * Validates the `attachments` of a chat request (see chatAttachmentSchema)
+ * for `user` (req.user) → `{ rows, images }`: MessageAttachment data without
+ * `messageId`, and the decoded images to send to the model.
+ */
+export async function prepareAttachments(user, specs = []) {
+  const rows = [];
+  const images = [];
+  for (const [i, spec] of specs.entries()) {
+    const label = `Attachment ${i + 1}`;
+    if (spec.type === 'image') {
+      const data = decodeBase64(spec.data);
+      const mimeType = checkImage(data, label);
+      rows.push({ source: 'UPLOAD', name: spec.name ?? null, mimeType, size: data.length, data });
+      images.push({ mimeType, data });
+    } else {
+      checkXrayAccess(user);
+      const imaging = await findImaging(spec.imagingId, user.id);
+      // DICOM and TIFF x-rays are sent as their PNG preview
+      const data = imaging && await readImaging(imaging, 'preview');
+      if (!data) throw new AttachmentError(`${label}: x-ray not found`);
+      const mimeType = checkImage(data, label);
+      rows.push({ source: 'XRAY', name: imaging.originalName, mimeType, size: data.length, imagingId: imaging.id });
+      images.push({ mimeType, data });
+    }
+  }
+  return { rows, images };
+}
+
+/** Bytes of one stored attachment → `{ mimeType, data }`, or null if gone. */
+export async function attachmentContent(attachment, user) {
+  if (attachment.source === 'UPLOAD') return { mimeType: attachment.mimeType, data: Buffer.from(attachment.data) };
+  checkXrayAccess(user);
+  if (attachment.imagingId) {
+    const imaging = await findImaging(attachment.imagingId, user.id);
+    const data = imaging && await readImaging(imaging, 'preview');
+    return data && { mimeType: attachment.mimeType, data };
+  }
+  if (!attachment.xrayFileId) return null;
+  const xray = await readXray(attachment.xrayFileId, user.id);
+  return xray && { mimeType: attachment.mimeType, data: xray.data };
+}
+
+/**
+ * The attachments of a stored prompt, for answering it again → `{ rows,
+ * images }` like prepareAttachments. X-rays deleted since are skipped.
+ */
+export async function storedAttachments(messageId, user) {
+  const rows = await prisma.messageAttachment.findMany({
+    where: { messageId },
+    orderBy: { id: 'asc' },
+    select: { source: true, name: true, mimeType: true, size: true, data: true, imagingId: true, xrayFileId: true },
+  });
+  const images = [];
+  for (const row of rows) {
+    const image = await attachmentContent(row, user);
+    if (image) images.push(image);
+  }
+  return { rows, images };
+}
+
+/**
+ * The user turn for the model: plain text, or OpenAI-style content parts
+ * when images are attached.
+ */
+export function userContent(text, images = []) {
+  if (!images.length) return text;
+  return [
+    { type: 'text', text },
+    ...images.map(({ mimeType, data }) => ({
+      type: 'image_url',
+      image_url: { url: `data:${mimeType};base64,${data.toString('base64')}` },
+    })),
+  ];
+}
@@ -1,11 +1,14 @@
 // lib/auth.js
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
 import csrfLib from '@dr.pogodin/csurf';
+import prisma from './prismaClient.js';
+import { refreshOutcome } from './refreshTokens.js';
 import { JWT_SECRET } from './config.js';
 import { authCookieOpts, clearCookieOpts } from '../middleware/cookieConfig.js';
 
 const ACCESS_EXPIRES_IN  = '15m';
-const REFRESH_EXPIRES_IN = '30d';
+const REFRESH_TTL_MS     = 30 * 24 * 60 * 60 * 1000;
 
 if (!JWT_SECRET) {
   throw new Error('JWT_SECRET not set. Aborting.');
@@ -13,29 +16,136 @@ if (!JWT_SECRET) {
 
 export function signAccess(user) {
   return jwt.sign(
-    { userId: user.id, role: user.role ?? 'USER' },
+    { userId: user.id, role: user.role ?? 'USER', locale: user.locale ?? null },
     JWT_SECRET,
     { expiresIn: ACCESS_EXPIRES_IN }
   );
 }
 
-export function issueRefresh(user) {
-  return jwt.sign(
-    { userId: user.id },
-    JWT_SECRET,
-    { expiresIn: REFRESH_EXPIRES_IN }
-  );
+// ─── Refresh tokens ──────────────────────────────────────────────────────────
+// Refresh tokens are opaque random strings; only their SHA-256 hash is stored.
+// Each device sign-in opens an AuthSession (the token "family"), and every
+// /refresh rotates the token inside that session. Presenting a token that was
+// already rotated means it leaked, so the whole session is revoked.
+
+export function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
 }
 
-export function verifyRefresh(token) {
-  return jwt.verify(token, JWT_SECRET);
+function randomToken() {
+  return crypto.randomBytes(32).toString('base64url');
 }
 
-export function setAuthCookies(res, access, refresh) {
+function clientMeta(req) {
+  return {
+    userAgent: req?.get?.('user-agent')?.slice(0, 255) ?? null,
+    ip: req?.ip ?? null,
+  };
+}
+
+/**
+ * Opens a new session for `user` and returns its first refresh token.
+ */
+export async function issueRefresh(user, req) {
+  const token = randomToken();
+  const expiresAt = new Date(Date.now() + REFRESH_TTL_MS);
+
+  await prisma.authSession.create({
+    data: {
+      userId: user.id,
+      expiresAt,
+      ...clientMeta(req),
+      refreshTokens: { create: { tokenHash: hashToken(token), expiresAt } },
+    },
+  });
+  return token;
+}
+
+/**
+ * Exchanges a refresh token for a new one in the same session.
+ * Returns `{ user, refresh, sessionId }`, or null when the token is unknown,
+ * expired, revoked or being reused (in which case the session is revoked).
+ */
+export async function rotateRefresh(token, req) {
+  const now = new Date();
+  const current = await prisma.refreshToken.findUnique({
+    where: { tokenHash: hashToken(token) },
+    include: { session: { include: { user: true } } },
+  });
+  if (!current) return null;
+
+  const { session } = current;
+  const outcome = refreshOutcome(current, now);
+  if (outcome === 'reject') return null;
+  if (outcome === 'revoke') {
+    await revokeSession(session.id, 'reuse');
+    return null;
+  }
+
+  const refresh = randomToken();
+  const expiresAt = new Date(now.getTime() + REFRESH_TTL_MS);
+
+  const rotated = await prisma.$transaction(async (tx) => {
+    // Guard against two concurrent refreshes with the same token
+    const { count } = await tx.refreshToken.updateMany({
+      where: { id: current.id, usedAt: null },
+      data: { usedAt: now },
+    });
+    if (count !== 1) return false;
+
+    await tx.refreshToken.create({
+      data: { sessionId: session.id, tokenHash: hashToken(refresh), expiresAt },
+    });
+    await tx.authSession.update({
+      where: { id: session.id },
+      data: { lastUsedAt: now, expiresAt, ...clientMeta(req) },
+    });
+    return true;
+  });
+
+  if (!rotated) {
+    await revokeSession(session.id, 'reuse');
+    return null;
+  }
+  return { user: session.user, refresh, sessionId: session.id };
+}
+
+/**
+ * Looks up the live session a refresh token belongs to, or null.
+ */
+export async function findSessionByRefresh(token) {
+  if (!token) return null;
+  const row = await prisma.refreshToken.findUnique({
+    where: { tokenHash: hashToken(token) },
+    include: { session: true },
+  });
+  if (!row || row.session.revokedAt) return null;
+  return row.session;
+}
+
+export async function revokeSession(sessionId, reason = 'logout') {
+  await prisma.authSession.updateMany({
+    where: { id: sessionId, revokedAt: null },
+    data: { revokedAt: new Date(), revokedReason: reason },
+  });
+}
+
+export async function revokeAllSessions(userId, reason = 'logout-all') {
+  await prisma.authSession.updateMany({
+    where: { userId, revokedAt: null },
+    data: { revokedAt: new Date(), revokedReason: reason },
+  });
+}
+
+export function setAccessCookie(res, access) {
   // access token cookie: 15 minutes
-  res.cookie('access',  access,  authCookieOpts({ maxAge: 15 * 60 * 1000 }));
+  res.cookie('access', access, authCookieOpts({ maxAge: 15 * 60 * 1000 }));
+}
+
+export function setAuthCookies(res, access, refresh) {
+  setAccessCookie(res, access);
   // refresh token cookie: 30 days
-  res.cookie('refresh', refresh, authCookieOpts({ maxAge: 30 * 24 * 60 * 60 * 1000 }));
+  res.cookie('refresh', refresh, authCookieOpts({ maxAge: REFRESH_TTL_MS }));
 }
 
 export function clearAuthCookies(res) {
@@ -55,3 +165,145 @@ export const csrf = csrfLib({
       : {}),
   },
 });
+
+// ─── One-time email tokens (verification, password reset, magic link) ───────
+
+const ONE_TIME_TTL_MS = {
+  EMAIL_VERIFY:   24 * 60 * 60 * 1000,
+  PASSWORD_RESET: 60 * 60 * 1000,
+  MAGIC_LINK:     15 * 60 * 1000,
+};
+
+/**
+ * Creates a single-use token of `type` for `userId`, invalidating any earlier
+ * unused token of the same type. Returns the raw token to embed in a link.
+ */
+export async function createOneTimeToken(userId, type) {
+  const token = randomToken();
+  const now = new Date();
+  await prisma.$transaction([
+    prisma.authToken.updateMany({
+      where: { userId, type, usedAt: null },
+      data: { usedAt: now },
+    }),
+    prisma.authToken.create({
+      data: {
+        userId,
+        type,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(now.getTime() + ONE_TIME_TTL_MS[type]),
+      },
+    }),
+  ]);
+  return token;
+}
+
+/**
+ * Marks a one-time token as used and returns its user, or null when the
+ * token is unknown, of another type, expired or already used.
+ */
+export async function consumeOneTimeToken(token, type) {
+  const row = await prisma.authToken.findUnique({
+    where: { tokenHash: hashToken(token) },
+    include: { user: true },
+  });
+  if (!row || row.type !== type || row.expiresAt <= new Date()) return null;
+
+  const { count } = await prisma.authToken.updateMany({
+    where: { id: row.id, usedAt: null },
+    data: { usedAt: new Date() },
+  });
+  return count === 1 ? row.user : null;
+}
+
+// ─── Pending second factor ───────────────────────────────────────────────────
+// After the first factor succeeds for a 2FA-enabled user they only get a
+// short-lived `mfa` cookie, which /2fa/verify trades for real auth cookies.
+// Each pending sign-in allows MFA_MAX_ATTEMPTS codes, counted per token id
+// in memory (like the rate limits), so a copied cookie is no way around it.
+
+const MFA_PENDING_MS = 5 * 60 * 1000;
+const MFA_MAX_ATTEMPTS = 5;
+
+const mfaAttempts = new Map(); // token id → { count, expiresAt }
+
+export function setMfaPendingCookie(res, user) {
+  const token = jwt.sign(
+    { userId: user.id, purpose: 'mfa' },
+    JWT_SECRET,
+    { expiresIn: MFA_PENDING_MS / 1000, jwtid: crypto.randomBytes(16).toString('hex') }
+  );
+  res.cookie('mfa', token, authCookieOpts({ maxAge: MFA_PENDING_MS }));
+}
+
+function readMfaToken(req) {
+  const token = req.cookies?.mfa;
+  if (!token) return null;
+  try {
+    const payload = jwt.verify(token, JWT_SECRET);
+    return payload.purpose === 'mfa' && payload.jti ? payload : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Counts one code attempt against the pending sign-in, before the code is
+ * checked (so parallel guesses count too) → `{ userId, remaining }`, or null
+ * if the cookie is missing/invalid or its attempts are used up.
+ */
+export function consumeMfaAttempt(req) {
+  const payload = readMfaToken(req);
+  if (!payload) return null;
+
+  const now = Date.now();
+  for (const [id, entry] of mfaAttempts) {
+    if (entry.expiresAt <= now) mfaAttempts.delete(id);
+  }
+  const entry = mfaAttempts.get(payload.jti) ?? { count: 0, expiresAt: payload.exp * 1000 };
+  if (entry.count >= MFA_MAX_ATTEMPTS) return null;
+  entry.count += 1;
+  mfaAttempts.set(payload.jti, entry);
+  return { userId: payload.userId, remaining: MFA_MAX_ATTEMPTS - entry.count };
+}
+
+export function clearMfaPendingCookie(res) {
+  res.clearCookie('mfa', clearCookieOpts());
+}
+
+// ─── OAuth link intent ───────────────────────────────────────────────────────
+// Browser OAuth round-trips can't carry our auth state, so the CSRF-protected
+// POST /link/:provider/start drops a short-lived `link` cookie that the
+// strategy callback reads to attach the identity to the signed-in user
+// instead of signing in. The cookie carries a nonce that is sent to the
+// provider as OAuth `state`; a callback whose state differs (e.g. a code
+// planted by another site) is refused.
+
+const LINK_INTENT_MS = 10 * 60 * 1000;
+
+export function setLinkIntentCookie(res, user, provider) {
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const token = jwt.sign(
+    { userId: user.id, provider, nonce, purpose: 'link' },
+    JWT_SECRET,
+    { expiresIn: LINK_INTENT_MS / 1000 }
+  );
+  res.cookie('link', token, authCookieOpts({ maxAge: LINK_INTENT_MS }));
+}
+
+/** Returns `{ userId, nonce }` of a pending link of `provider`, or null. */
+export function readLinkIntent(req, provider) {
+  const token = req.cookies?.link;
+  if (!token) return null;
+  try {
+    const payload = jwt.verify(token, JWT_SECRET);
+    if (payload.purpose !== 'link' || payload.provider !== provider || !payload.nonce) return null;
+    return { userId: payload.userId, nonce: payload.nonce };
+  } catch {
+    return null;
+  }
+}
+
+export function clearLinkIntentCookie(res) {
+  res.clearCookie('link', clearCookieOpts());
+}
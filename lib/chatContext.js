@@ -0,0 +1,103 @@
+// lib/chatContext.js
+// Rebuilds model context from the stored conversation instead of trusting a
+// client-supplied history. Only the branch being answered counts (see
+// chatThread.js). Turns that no longer fit the token budget are folded into
+// a running summary kept on the ChatSession.
+import prisma from './prismaClient.js';
+import { llm } from './llm/index.js';
+import { pathTo } from './chatThread.js';
+
+const CONTEXT_TOKEN_BUDGET = Number(process.env.CHAT_CONTEXT_TOKENS) || 3000;
+// When summarising, keep this share of the budget as verbatim recent turns.
+const KEEP_RECENT_RATIO = 0.5;
+
+const SUMMARY_SYSTEM =
+  'You maintain a running summary of a conversation between a dentist and DentAssist AI. ' +
+  'Merge the previous summary with the new turns. Keep clinical facts, patient details, decisions and open questions. ' +
+  'Be concise (under 200 words). Reply with the summary only.';
+
+const ROLE_MAP = { USER: 'user', BOT: 'assistant' };
+
+// Rough token estimate (~4 chars per token plus per-message overhead);
+// good enough for budgeting without shipping a tokenizer.
+export function estimateTokens(text) {
+  return Math.ceil((text?.length ?? 0) / 4) + 4;
+}
+
+function toTurn(m) {
+  return { role: ROLE_MAP[m.role], content: m.content };
+}
+
+async function summarize(previous, messages) {
+  const transcript = messages
+    .map(m => `${m.role === 'USER' ? 'Dentist' : 'DentAssist'}: ${m.content}`)
+    .join('\n\n');
+  const { text } = await llm('summary').complete({
+    messages: [
+      { role: 'system', content: SUMMARY_SYSTEM },
+      { role: 'user', content: `Previous summary:\n${previous || '(none)'}\n\nNew turns:\n${transcript}` }
+    ]
+  });
+  return text;
+}
+
+/**
+ * Returns `{ summary, turns }` for the branch of `session` ending at
+ * `leafId` (the message the next prompt follows; null for a first prompt),
+ * where `turns` are OpenAI-style `{ role, content }` messages that fit in the
+ * token budget. Older turns are summarised (and the summary persisted) when
+ * the budget is exceeded. The stored summary covers the path up to
+ * `summarizedUpToId` and is only reused on branches that contain it.
+ */
+export async function buildChatContext(session, { leafId = null, budget = CONTEXT_TOKEN_BUDGET } = {}) {
+  const nodes = await prisma.message.findMany({
+    where: { chatId: session.id },
+    orderBy: { id: 'asc' },
+    select: { id: true, parentId: true },
+  });
+  const path = pathTo(nodes, leafId);
+  const covered = session.summarizedUpToId
+    ? path.findIndex(m => m.id === session.summarizedUpToId)
+    : -1;
+
+  const messages = await prisma.message.findMany({
+    where: { id: { in: path.slice(covered + 1).map(m => m.id) } },
+    orderBy: { id: 'asc' },
+    select: { id: true, role: true, content: true },
+  });
+
+  let summary = covered === -1 ? null : session.summary;
+  const summaryTokens = summary ? estimateTokens(summary) : 0;
+  const total = messages.reduce((n, m) => n + estimateTokens(m.content), summaryTokens);
+  if (total <= budget) return { summary, turns: messages.map(toTurn) };
+
+  // Keep the newest turns that fit in the verbatim share; summarise the rest.
+  const keepBudget = budget * KEEP_RECENT_RATIO;
+  let kept = 0;
+  let split = messages.length;
+  while (split > 0 && kept + estimateTokens(messages[split - 1].content) <= keepBudget) {
+    split -= 1;
+    kept += estimateTokens(messages[split].content);
+  }
+
+  const older = messages.slice(0, split);
+  const recent = messages.slice(split);
+  if (older.length) {
+    summary = await summarize(summary, older);
+    await prisma.chatSession.update({
+      where: { id: session.id },
+      data: { summary, summarizedUpToId: older[older.length - 1].id },
+    });
+  }
+  return { summary, turns: recent.map(toTurn) };
+}
+
+/** Assembles the full message list for one model call. */
+export function contextMessages(system, { summary, turns }, prompt) {
+  return [
+    { role: 'system', content: system },
+    ...(summary ? [{ role: 'system', content: `Summary of the earlier conversation:\n${summary}` }] : []),
+    ...turns,
+    { role: 'user', content: prompt },
+  ];
+}
@@ -0,0 +1,179 @@
+// lib/chatExport.js
+// Renders a ChatSession (title, timestamps, USER/BOT messages) as Markdown,
+// JSON or PDF. Everything is generated in-process; PDF uses pdfkit with its
+// built-in fonts unless PDF_FONT_PATH points to a local TTF (needed for
+// non-Latin scripts and emoji).
+import PDFDocument from 'pdfkit';
+import { ZipArchive } from 'archiver';
+
+export const EXPORT_FORMATS = {
+  md:   { ext: 'md',   contentType: 'text/markdown; charset=utf-8' },
+  json: { ext: 'json', contentType: 'application/json; charset=utf-8' },
+  pdf:  { ext: 'pdf',  contentType: 'application/pdf' },
+};
+
+const SPEAKER = { USER: 'You', BOT: 'DentAssist' };
+
+function titleOf(session) {
+  return session.title || `DentAssist conversation #${session.id}`;
+}
+
+function stamp(date) {
+  return date ? new Date(date).toISOString().replace('T', ' ').slice(0, 16) + ' UTC' : '—';
+}
+
+function citationLine(c) {
+  const where = [c.section, c.page ? `page ${c.page}` : null].filter(Boolean).join(', ');
+  return `[${c.n}] ${c.title}${where ? ` (${where})` : ''}`;
+}
+
+export function exportFilename(session, ext) {
+  const slug = titleOf(session)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '')
+    .slice(0, 50);
+  return `dentassist-${session.id}${slug ? `-${slug}` : ''}.${ext}`;
+}
+
+// ─── Markdown / JSON ─────────────────────────────────────────────────────────
+
+export function toMarkdown(session) {
+  const lines = [
+    `# ${titleOf(session)}`,
+    '',
+    `_Started: ${stamp(session.startedAt)} · Ended: ${stamp(session.endedAt)}_`,
+    '',
+  ];
+  for (const m of session.messages) {
+    lines.push('---', '', `### ${SPEAKER[m.role]} — ${stamp(m.createdAt)}`, '', m.content.trim(), '');
+    if (m.citations?.length) {
+      lines.push('**Sources**', '', ...m.citations.map(c => `- ${citationLine(c)}`), '');
+    }
+  }
+  return lines.join('\n');
+}
+
+export function toJson(session) {
+  return JSON.stringify({
+    id: session.id,
+    title: session.title,
+    startedAt: session.startedAt,
+    endedAt: session.endedAt,
+    isEnded: session.isEnded,
+    messages: session.messages.map(m => ({
+      id: m.id,
+      role: m.role,
+      content: m.content,
+      citations: m.citations ?? [],
+      createdAt: m.createdAt,
+    })),
+  }, null, 2);
+}
+
+// ─── PDF ─────────────────────────────────────────────────────────────────────
+
+// pdfkit's standard fonts only cover WinAnsi; without a custom font, drop
+// what they can't draw (emoji, non-Latin scripts) rather than print garbage.
+function fontSafe(text, hasCustomFont) {
+  if (hasCustomFont) return text;
+  return text.replace(/🔍\s*/gu, '').replace(/[^\t\n\r\x20-\x7E\xA0-\xFF–—‘’“”•…]/gu, '');
+}
+
+function stripInline(text) {
+  return text.replace(/\*\*(.+?)\*\*/g, '$1').replace(/__(.+?)__/g, '$1').replace(/`([^`]+)`/g, '$1');
+}
+
+function renderContent(doc, content, fonts) {
+  for (const raw of content.split('\n')) {
+    const line = fontSafe(raw, fonts.custom).trimEnd();
+    const heading = line.match(/^(#{1,6})\s+(.*)$/);
+    const bullet = line.match(/^\s*(?:[-*+]|\d+\.)\s+(.*)$/);
+
+    if (!line.trim()) {
+      doc.moveDown(0.4);
+    } else if (heading) {
+      doc.moveDown(0.3).font(fonts.bold).fontSize(heading[1].length <= 2 ? 13 : 11.5)
+        .text(stripInline(heading[2])).font(fonts.regular).fontSize(10.5);
+    } else if (/^(🔍\s*)?References\b/i.test(raw.trim())) {
+      doc.moveDown(0.3).font(fonts.bold).fontSize(11.5).text('References').font(fonts.regular).fontSize(10.5);
+    } else if (bullet) {
+      doc.text(`•  ${stripInline(bullet[1])}`, { indent: 12 });
+    } else {
+      doc.text(stripInline(line));
+    }
+  }
+}
+
+export function toPdf(session) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 56, info: { Title: titleOf(session) } });
+    const chunks = [];
+    doc.on('data', c => chunks.push(c));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const fonts = { regular: 'Helvetica', bold: 'Helvetica-Bold', custom: false };
+    if (process.env.PDF_FONT_PATH) {
+      doc.registerFont('Body', process.env.PDF_FONT_PATH);
+      Object.assign(fonts, { regular: 'Body', bold: 'Body', custom: true });
+    }
+
+    doc.font(fonts.bold).fontSize(18).text(fontSafe(titleOf(session), fonts.custom));
+    doc.font(fonts.regular).fontSize(9).fillColor('#555')
+      .text(`Started: ${stamp(session.startedAt)}   Ended: ${stamp(session.endedAt)}`)
+      .fillColor('black');
+
+    for (const m of session.messages) {
+      doc.moveDown(1).font(fonts.bold).fontSize(11)
+        .fillColor(m.role === 'USER' ? '#1f4e79' : '#0b6e4f')
+        .text(`${SPEAKER[m.role]} — ${stamp(m.createdAt)}`)
+        .fillColor('black').font(fonts.regular).fontSize(10.5);
+      renderContent(doc, m.content, fonts);
+      if (m.citations?.length) {
+        doc.moveDown(0.3).fontSize(9).fillColor('#555')
+          .text(fontSafe(m.citations.map(citationLine).join('\n'), fonts.custom))
+          .fillColor('black');
+      }
+    }
+    doc.end();
+  });
+}
+
+export async function renderSession(session, format) {
+  if (format === 'md') return toMarkdown(session);
+  if (format === 'json') return toJson(session);
+  return toPdf(session);
+}
+
+/**
+ * Streams a zip with one file per session to `output` (e.g. `res`). Entries
+ * are rendered as the zip is written, so when one fails after the response
+ * has started, `output` is destroyed (the client sees a failed download, not
+ * a short zip) and the error is rethrown; callers must check `headersSent`.
+ */
+export async function streamSessionsZip(sessions, format, output) {
+  const archive = new ZipArchive({ zlib: { level: 9 } });
+  const done = new Promise((resolve, reject) => {
+    archive.on('error', reject);
+    output.on('close', resolve);
+    output.on('finish', resolve);
+  });
+  archive.pipe(output);
+
+  try {
+    for (const session of sessions) {
+      archive.append(await renderSession(session, format), {
+        name: exportFilename(session, EXPORT_FORMATS[format].ext),
+        date: session.startedAt,
+      });
+    }
+    await archive.finalize();
+    await done;
+  } catch (err) {
+    archive.unpipe(output);
+    archive.abort();
+    if (output.headersSent) output.destroy(err);
+    throw err;
+  }
+}
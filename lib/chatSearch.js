@@ -0,0 +1,88 @@
+// lib/chatSearch.js
+// Postgres full-text search over the caller's messages and session titles,
+// backed by the generated `searchVector` / `titleVector` columns.
+import { Prisma } from '@prisma/client';
+import prisma from './prismaClient.js';
+import { rangeEnd } from './normalize.js';
+
+// Title hits rank above body-only hits for the same term
+const TITLE_BOOST = 0.5;
+const HEADLINE_OPTS = 'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=30, MinWords=10, FragmentDelimiter=" … "';
+
+// Stored text is escaped before highlighting, so the only markup in a
+// headline is the <mark> tags ts_headline adds
+function escapedHtml(column) {
+  return Prisma.sql`replace(replace(replace(${column}, '&', '&amp;'), '<', '&lt;'), '>', '&gt;')`;
+}
+
+/**
+ * Returns `{ total, results }`. A message that matches is one result; a
+ * session whose title matches but none of whose messages do is one result
+ * with `messageId: null`. Each carries the ranked score and `title` /
+ * `snippet` as HTML: the stored text escaped, with matches wrapped in
+ * `<mark>` (the snippet is null for title-only hits).
+ */
+export async function searchChats(userId, { q, from, to, status, page, pageSize }) {
+  const sessionFilters = [Prisma.sql`s."userId" = ${userId}`];
+  if (status === 'ended') sessionFilters.push(Prisma.sql`s."isEnded" = true`);
+  if (status === 'active') sessionFilters.push(Prisma.sql`s."isEnded" = false`);
+
+  const messageFilters = [Prisma.sql`m."searchVector" @@ query`];
+  if (from) messageFilters.push(Prisma.sql`m."createdAt" >= ${new Date(from)}`);
+  if (to) messageFilters.push(Prisma.sql`m."createdAt" < ${rangeEnd(to)}`);
+
+  // Title-only hits are dated by when the session started
+  const titleFilters = [Prisma.sql`s."titleVector" @@ query`];
+  if (from) titleFilters.push(Prisma.sql`s."startedAt" >= ${new Date(from)}`);
+  if (to) titleFilters.push(Prisma.sql`s."startedAt" < ${rangeEnd(to)}`);
+
+  const sessionWhere = Prisma.join(sessionFilters, ' AND ');
+  const messageWhere = Prisma.join(messageFilters, ' AND ');
+  const hits = Prisma.sql`
+    WITH query AS (SELECT websearch_to_tsquery('simple', ${q}) AS query),
+    hits AS (
+      SELECT
+        m.id AS "messageId", s.id AS "sessionId", m.role AS "role", m."createdAt" AS "createdAt",
+        s."isEnded", s."startedAt", s.title, m.content,
+        ts_rank(m."searchVector", query)
+          + CASE WHEN s."titleVector" @@ query THEN ${TITLE_BOOST}::real ELSE 0 END AS "rank"
+      FROM "Message" m
+      JOIN "ChatSession" s ON s.id = m."chatId"
+      CROSS JOIN query
+      WHERE ${sessionWhere} AND ${messageWhere}
+      UNION ALL
+      SELECT
+        NULL, s.id, NULL, s."startedAt",
+        s."isEnded", s."startedAt", s.title, NULL,
+        ${TITLE_BOOST}::real + ts_rank(s."titleVector", query)
+      FROM "ChatSession" s
+      CROSS JOIN query
+      WHERE ${sessionWhere} AND ${Prisma.join(titleFilters, ' AND ')}
+        AND NOT EXISTS (SELECT 1 FROM "Message" m WHERE m."chatId" = s.id AND ${messageWhere})
+    )`;
+
+  const [rows, [{ total }]] = await Promise.all([
+    prisma.$queryRaw`
+      ${hits}
+      SELECT
+        h."messageId",
+        h."sessionId",
+        h.role,
+        h."createdAt",
+        h."isEnded",
+        h."startedAt" AS "sessionStartedAt",
+        ts_headline('simple', ${escapedHtml(Prisma.sql`coalesce(h.title, '')`)}, query, ${HEADLINE_OPTS}) AS "title",
+        CASE WHEN h.content IS NULL THEN NULL
+          ELSE ts_headline('simple', ${escapedHtml(Prisma.sql`h.content`)}, query, ${HEADLINE_OPTS}) END AS "snippet",
+        h.rank
+      FROM hits h CROSS JOIN query
+      ORDER BY h.rank DESC, h."createdAt" DESC
+      LIMIT ${pageSize} OFFSET ${(page - 1) * pageSize}`,
+    prisma.$queryRaw`${hits} SELECT count(*)::int AS total FROM hits`,
+  ]);
+
+  return {
+    total,
+    results: rows.map(r => ({ ...r, rank: Number(r.rank) })),
+  };
+}
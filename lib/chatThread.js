@@ -0,0 +1,59 @@
+// lib/chatThread.js
+// A chat session is a tree: every message points at the one it follows
+// (parentId) — a BOT reply at its USER turn, a USER turn at the reply before
+// it, the first prompt at nothing. Editing a prompt or regenerating an answer
+// adds a sibling, starting a new branch. Readers see one root→leaf path at a
+// time, by default the one ending at ChatSession.activeLeafId.
+//
+// All helpers take an id-ordered list of `{ id, parentId, ... }`.
+
+function index(messages) {
+  const byId = new Map();
+  const children = new Map();
+  for (const m of messages) {
+    byId.set(m.id, m);
+    const key = m.parentId ?? null;
+    if (!children.has(key)) children.set(key, []);
+    children.get(key).push(m);
+  }
+  return { byId, children };
+}
+
+function newestLeaf({ children }, fromId) {
+  let id = fromId;
+  for (;;) {
+    const kids = children.get(id);
+    if (!kids?.length) return id;
+    id = kids[kids.length - 1].id;
+  }
+}
+
+function walkUp({ byId }, id) {
+  const path = [];
+  for (let m = byId.get(id); m; m = byId.get(m.parentId)) path.push(m);
+  return path.reverse();
+}
+
+/** Leaf reached from `fromId` by following the newest child at every fork. */
+export function latestLeaf(messages, fromId = null) {
+  return newestLeaf(index(messages), fromId);
+}
+
+/** Messages from the root down to `id` (inclusive); empty for a null id. */
+export function pathTo(messages, id) {
+  return id == null ? [] : walkUp(index(messages), id);
+}
+
+/**
+ * The branch ending at `leafId` — or, if that message is gone, the newest
+ * one. Each message carries `siblingIds` (every version at that position,
+ * oldest first) and its own `siblingIndex` so clients can switch branches.
+ */
+export function branch(messages, leafId) {
+  const tree = index(messages);
+  const leaf = tree.byId.has(leafId) ? leafId : newestLeaf(tree, null);
+  return walkUp(tree, leaf).map(m => {
+    const siblings = tree.children.get(m.parentId ?? null);
+    return { ...m, siblingIds: siblings.map(s => s.id), siblingIndex: siblings.indexOf(m) };
+  });
+}
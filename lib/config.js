@@ -2,7 +2,6 @@
 import dotenv from 'dotenv';
 import { OAuth2Client } from 'google-auth-library';
 import Stripe from 'stripe';
-import OpenAI from 'openai';
 
 dotenv.config();
 
@@ -15,7 +14,6 @@ const REQUIRED = [
   'GOOGLE_CLIENT_SECRET',
   'STRIPE_SECRET_KEY',
   'STRIPE_WEBHOOK_SECRET',
-  'OPENAI_API_KEY',
   'FRONTEND_ORIGIN',
 ];
 
@@ -38,7 +36,7 @@ export const googleClient = new OAuth2Client(
 export const stripe       = new Stripe(process.env.STRIPE_SECRET_KEY, {
   apiVersion: '2023-10-16',
 });
-export const openai       = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+// LLM clients live in lib/llm (OPENAI_API_KEY is checked there, per provider).
 
 /* ------------------------------------------------------------------ */
 /* 3.  Convenience export (optional)                                  */
@@ -47,5 +45,4 @@ export default {
   JWT_SECRET,
   googleClient,
   stripe,
-  openai,
 };
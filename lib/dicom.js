@@ -0,0 +1,183 @@
+// lib/dicom.js
+// DICOM Part 10 files from intraoral sensors, panoramic units and CBCT: the
+// tags recorded on the imaging record, PHI blanking, and the first frame as
+// input for lib/renditions.js. Uncompressed and baseline JPEG pixel data are
+// decoded; other compressions (JPEG 2000, JPEG lossless, RLE) are stored
+// without renditions.
+import dicomParser from 'dicom-parser';
+
+const TRANSFER_SYNTAX = 'x00020010';
+const PIXEL_DATA = 'x7fe00010';
+
+const IMPLICIT_LITTLE_ENDIAN = '1.2.840.10008.1.2';
+const EXPLICIT_LITTLE_ENDIAN = '1.2.840.10008.1.2.1';
+const EXPLICIT_BIG_ENDIAN = '1.2.840.10008.1.2.2';
+const JPEG_BASELINE = '1.2.840.10008.1.2.4.50';
+
+const UNCOMPRESSED = new Set([IMPLICIT_LITTLE_ENDIAN, EXPLICIT_LITTLE_ENDIAN, EXPLICIT_BIG_ENDIAN]);
+
+// Identifying attributes of the PS3.15 basic profile that sensor software
+// fills in. Study and acquisition dates are kept: they order a patient's
+// images, and the record already belongs to the patient.
+const PHI_TAGS = new Set([
+  'x00080050', // Accession Number
+  'x00080080', // Institution Name
+  'x00080081', // Institution Address
+  'x00080090', // Referring Physician's Name
+  'x00080092', // Referring Physician's Address
+  'x00080094', // Referring Physician's Telephone Numbers
+  'x00081040', // Institutional Department Name
+  'x00081048', // Physician(s) of Record
+  'x00081050', // Performing Physician's Name
+  'x00081060', // Name of Physician(s) Reading Study
+  'x00081070', // Operators' Name
+  'x00100010', // Patient's Name
+  'x00100020', // Patient ID
+  'x00100030', // Patient's Birth Date
+  'x00100032', // Patient's Birth Time
+  'x00100040', // Patient's Sex
+  'x00101000', // Other Patient IDs
+  'x00101001', // Other Patient Names
+  'x00101010', // Patient's Age
+  'x00101040', // Patient's Address
+  'x00102154', // Patient's Telephone Numbers
+  'x00104000', // Patient Comments
+  'x00200010', // Study ID
+  'x00321032', // Requesting Physician
+]);
+
+/** Parsed data set of a Part 10 file, or null when it cannot be parsed. */
+export function parseDicom(buffer) {
+  try {
+    // Shares the buffer's memory, so anonymizeDicom() edits it in place
+    return dicomParser.parseDicom(new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.length));
+  } catch {
+    return null;
+  }
+}
+
+// DA values are YYYYMMDD
+function parseDate(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})$/.exec(value ?? '');
+  if (!match) return null;
+  const date = new Date(`${match[1]}-${match[2]}-${match[3]}T00:00:00Z`);
+  return isNaN(date) || date.toISOString().slice(0, 10) !== `${match[1]}-${match[2]}-${match[3]}` ? null : date;
+}
+
+/**
+ * Imaging record fields from the data set. Intraoral sensors often only set
+ * Imager Pixel Spacing, which is used when Pixel Spacing is absent.
+ */
+export function dicomMetadata(dataSet) {
+  const spacing = dataSet.string('x00280030') || dataSet.string('x00181164');
+  const pixelSpacing = spacing ? spacing.split('\\').map(Number) : [];
+  return {
+    modality: dataSet.string('x00080060') || null,
+    studyDate: parseDate(dataSet.string('x00080020')),
+    dicomPatientId: dataSet.string('x00100020') || null,
+    pixelSpacing: pixelSpacing.length === 2 && pixelSpacing.every(n => n > 0) ? pixelSpacing : [],
+  };
+}
+
+/**
+ * Blanks the PHI attributes (padding them with spaces, so no offsets move)
+ * in the parsed file's bytes, including inside sequences.
+ */
+export function anonymizeDicom(dataSet) {
+  for (const element of Object.values(dataSet.elements)) {
+    if (PHI_TAGS.has(element.tag) && !element.hadUndefinedLength) {
+      dataSet.byteArray.fill(0x20, element.dataOffset, element.dataOffset + element.length);
+    }
+    for (const item of element.items ?? []) {
+      if (item.dataSet) anonymizeDicom(item.dataSet);
+    }
+  }
+}
+
+// Maps stored values to 0–255 through the VOI window, or the full range of
+// the frame when the file has none
+function grayscale(dataSet, view, littleEndian, width, height) {
+  const bitsAllocated = dataSet.uint16('x00280100');
+  const bitsStored = dataSet.uint16('x00280101') || bitsAllocated;
+  const signed = dataSet.uint16('x00280103') === 1;
+  const slope = dataSet.floatString('x00281053') ?? 1;
+  const intercept = dataSet.floatString('x00281052') ?? 0;
+  const shift = 32 - bitsStored;
+
+  const count = width * height;
+  const values = new Float32Array(count);
+  let min = Infinity;
+  let max = -Infinity;
+  for (let i = 0; i < count; i++) {
+    const raw = bitsAllocated === 8 ? view.getUint8(i) : view.getUint16(i * 2, littleEndian);
+    const stored = signed ? (raw << shift) >> shift : raw & (2 ** bitsStored - 1);
+    const value = stored * slope + intercept;
+    values[i] = value;
+    if (value < min) min = value;
+    if (value > max) max = value;
+  }
+
+  const center = dataSet.floatString('x00281050', 0);
+  const windowWidth = dataSet.floatString('x00281051', 0);
+  const [low, high] = windowWidth > 1
+    ? [center - 0.5 - (windowWidth - 1) / 2, center - 0.5 + (windowWidth - 1) / 2]
+    : [min, max];
+  const range = high - low || 1;
+  const invert = dataSet.string('x00280004') === 'MONOCHROME1';
+
+  const data = Buffer.alloc(count);
+  for (let i = 0; i < count; i++) {
+    const level = Math.min(255, Math.max(0, Math.round(((values[i] - low) / range) * 255)));
+    data[i] = invert ? 255 - level : level;
+  }
+  return data;
+}
+
+// 8-bit RGB, interleaved or planar
+function rgb(dataSet, bytes, width, height) {
+  if (dataSet.uint16('x00280006') !== 1) return Buffer.from(bytes);
+  const plane = width * height;
+  const data = Buffer.alloc(plane * 3);
+  for (let i = 0; i < plane; i++) {
+    for (let c = 0; c < 3; c++) data[i * 3 + c] = bytes[c * plane + i];
+  }
+  return data;
+}
+
+/**
+ * The first frame as `sharp(input, options)` arguments → `{ input, options }`:
+ * 8-bit raw pixels, or the JPEG stream itself for baseline JPEG. Null when
+ * the file has no image or its encoding is not supported.
+ */
+export function dicomImage(dataSet) {
+  const pixelData = dataSet.elements[PIXEL_DATA];
+  const width = dataSet.uint16('x00280011');
+  const height = dataSet.uint16('x00280010');
+  if (!pixelData || !width || !height) return null;
+
+  const transferSyntax = dataSet.string(TRANSFER_SYNTAX);
+  if (transferSyntax === JPEG_BASELINE && pixelData.encapsulatedPixelData) {
+    const offsets = pixelData.basicOffsetTable.length
+      ? pixelData.basicOffsetTable
+      : dicomParser.createJPEGBasicOffsetTable(dataSet, pixelData);
+    return { input: Buffer.from(dicomParser.readEncapsulatedImageFrame(dataSet, pixelData, 0, offsets)) };
+  }
+  if (!UNCOMPRESSED.has(transferSyntax)) return null;
+
+  const samples = dataSet.uint16('x00280002') || 1;
+  const bitsAllocated = dataSet.uint16('x00280100');
+  const length = width * height * samples * (bitsAllocated / 8);
+  if (![8, 16].includes(bitsAllocated) || pixelData.length < length) return null;
+
+  const { byteArray } = dataSet;
+  const bytes = byteArray.subarray(pixelData.dataOffset, pixelData.dataOffset + length);
+  if (samples === 1) {
+    const view = new DataView(byteArray.buffer, byteArray.byteOffset + pixelData.dataOffset, length);
+    const data = grayscale(dataSet, view, transferSyntax !== EXPLICIT_BIG_ENDIAN, width, height);
+    return { input: data, options: { raw: { width, height, channels: 1 } } };
+  }
+  if (samples === 3 && bitsAllocated === 8 && dataSet.string('x00280004') === 'RGB') {
+    return { input: rgb(dataSet, bytes, width, height), options: { raw: { width, height, channels: 3 } } };
+  }
+  return null;
+}
@@ -0,0 +1,93 @@
+// lib/embeddings/index.js
+// Embedding provider registry, configured like lib/llm:
+//   EMBEDDING_PROVIDER / EMBEDDING_MODEL                    primary (default: local)
+//   EMBEDDING_FALLBACK_PROVIDER / EMBEDDING_FALLBACK_MODEL  secondary (default: local,
+//                                                           `none` disables it)
+// Providers: `openai` (OPENAI_API_KEY), `compatible` (LLM_COMPAT_BASE_URL,
+// LLM_COMPAT_API_KEY) and `local`, the offline hashing embedder.
+//
+// Vectors from different models are not comparable, so every result is
+// tagged with an embedding id (`<provider>:<model>`) that is stored next to
+// the vectors and used to embed queries the same way.
+import { createOpenAIEmbeddingProvider } from './openaiProvider.js';
+import { createLocalEmbeddingProvider } from './localProvider.js';
+
+const DEFAULT_MODELS = { openai: 'text-embedding-3-small', local: 'hash-384' };
+
+const factories = {
+  openai: () => {
+    if (!process.env.OPENAI_API_KEY) throw new Error('OPENAI_API_KEY not set');
+    return createOpenAIEmbeddingProvider({ name: 'openai', apiKey: process.env.OPENAI_API_KEY });
+  },
+  compatible: () => {
+    if (!process.env.LLM_COMPAT_BASE_URL) throw new Error('LLM_COMPAT_BASE_URL not set');
+    return createOpenAIEmbeddingProvider({
+      name: 'compatible',
+      baseURL: process.env.LLM_COMPAT_BASE_URL,
+      apiKey: process.env.LLM_COMPAT_API_KEY,
+    });
+  },
+  local: () => createLocalEmbeddingProvider(),
+};
+
+const instances = new Map();
+
+export function registerEmbeddingProvider(name, factory) {
+  factories[name] = factory;
+  instances.delete(name);
+}
+
+export function getEmbeddingProvider(name) {
+  if (!instances.has(name)) {
+    const factory = factories[name];
+    if (!factory) throw new Error(`Unknown embedding provider "${name}"`);
+    instances.set(name, factory());
+  }
+  return instances.get(name);
+}
+
+function target(provider, model) {
+  return { provider, model: model || DEFAULT_MODELS[provider] };
+}
+
+export function embeddingId({ provider, model }) {
+  return `${provider}:${model}`;
+}
+
+export function parseEmbeddingId(id) {
+  const i = id.indexOf(':');
+  return { provider: id.slice(0, i), model: id.slice(i + 1) };
+}
+
+/** Configured targets, primary first. */
+export function embeddingTargets() {
+  const primary = target(process.env.EMBEDDING_PROVIDER || 'local', process.env.EMBEDDING_MODEL);
+  const fallbackProvider = process.env.EMBEDDING_FALLBACK_PROVIDER || 'local';
+  if (fallbackProvider === 'none') return [primary];
+
+  const fallback = target(fallbackProvider, process.env.EMBEDDING_FALLBACK_MODEL);
+  return embeddingId(fallback) === embeddingId(primary) ? [primary] : [primary, fallback];
+}
+
+async function embedWith(t, texts, signal) {
+  const { vectors, model } = await getEmbeddingProvider(t.provider).embed({ model: t.model, texts, signal });
+  return { vectors, id: embeddingId({ provider: t.provider, model: model ?? t.model }) };
+}
+
+/**
+ * Embeds `texts` → `{ vectors, id }`. With `id` the texts are embedded
+ * exactly that way (queries against stored vectors); otherwise the primary
+ * target is used, falling back to the secondary on failure.
+ */
+export async function embed(texts, { id, signal } = {}) {
+  if (id) return embedWith(parseEmbeddingId(id), texts, signal);
+
+  const [primary, fallback] = embeddingTargets();
+  try {
+    return await embedWith(primary, texts, signal);
+  } catch (err) {
+    if (!fallback || signal?.aborted) throw err;
+    console.warn(`Embeddings: ${primary.provider} failed (${err.message}); falling back to ${fallback.provider}`);
+    return embedWith(fallback, texts, signal);
+  }
+}
@@ -0,0 +1,47 @@
+// lib/embeddings/localProvider.js
+// Offline embedder using the hashing trick: word unigrams and bigrams are
+// hashed into a fixed number of signed buckets and the vector is
+// L2-normalised. No model download or network; weaker than a neural model
+// but deterministic and good enough for keyword-heavy clinical text.
+
+const DEFAULT_DIMENSIONS = 384;
+
+// 32-bit FNV-1a
+function fnv1a(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+function tokens(text) {
+  return text.toLowerCase().normalize('NFKD').match(/[\p{L}\p{N}]+/gu) ?? [];
+}
+
+export function hashEmbedding(text, dimensions = DEFAULT_DIMENSIONS) {
+  const counts = new Map();
+  const words = tokens(text);
+  const features = [...words, ...words.slice(1).map((w, i) => `${words[i]} ${w}`)];
+  for (const f of features) counts.set(f, (counts.get(f) ?? 0) + 1);
+
+  const vec = new Array(dimensions).fill(0);
+  for (const [feature, count] of counts) {
+    const h = fnv1a(feature);
+    vec[h % dimensions] += (h & 0x80000000 ? -1 : 1) * (1 + Math.log(count));
+  }
+  const norm = Math.hypot(...vec) || 1;
+  return vec.map(v => v / norm);
+}
+
+export function createLocalEmbeddingProvider({ name = 'local' } = {}) {
+  return {
+    name,
+
+    async embed({ model, texts }) {
+      const dimensions = Number(model?.match(/^hash-(\d+)$/)?.[1]) || DEFAULT_DIMENSIONS;
+      return { vectors: texts.map(t => hashEmbedding(t, dimensions)), model: `hash-${dimensions}` };
+    },
+  };
+}
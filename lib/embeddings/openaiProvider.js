@@ -0,0 +1,31 @@
+// lib/embeddings/openaiProvider.js
+import OpenAI from 'openai';
+
+// The embeddings endpoint caps inputs per request
+const BATCH_SIZE = 96;
+
+/**
+ * Embeddings via the OpenAI SDK; with `baseURL` any OpenAI-compatible server
+ * exposing /v1/embeddings (Ollama, vLLM, text-embeddings-inference…).
+ */
+export function createOpenAIEmbeddingProvider({ name = 'openai', apiKey, baseURL, client } = {}) {
+  const sdk = client ?? new OpenAI({
+    apiKey: apiKey || 'not-needed',
+    ...(baseURL ? { baseURL } : {}),
+  });
+
+  return {
+    name,
+
+    async embed({ model, texts, signal }) {
+      const vectors = [];
+      let used = model;
+      for (let i = 0; i < texts.length; i += BATCH_SIZE) {
+        const resp = await sdk.embeddings.create({ model, input: texts.slice(i, i + BATCH_SIZE) }, { signal });
+        used = resp.model ?? used;
+        vectors.push(...resp.data.sort((a, b) => a.index - b.index).map(d => d.embedding));
+      }
+      return { vectors, model: used };
+    },
+  };
+}
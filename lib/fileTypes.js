@@ -0,0 +1,42 @@
+// lib/fileTypes.js
+// File types sniffed from their leading bytes; the MIME types declared by
+// clients (multipart headers, data URLs) are not trusted.
+
+export const DICOM_MIME_TYPE = 'application/dicom';
+
+// What chat models accept
+const IMAGE_SIGNATURES = [
+  { mimeType: 'image/png', test: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { mimeType: 'image/jpeg', test: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { mimeType: 'image/webp', test: (b) => b.toString('latin1', 0, 4) === 'RIFF' && b.toString('latin1', 8, 12) === 'WEBP' },
+  { mimeType: 'image/gif', test: (b) => /^GIF8[79]a$/.test(b.toString('latin1', 0, 6)) },
+];
+
+// Sensor exports: the above, TIFF (either byte order) and DICOM Part 10
+// files, which start with a 128-byte preamble and "DICM"
+const XRAY_SIGNATURES = [
+  ...IMAGE_SIGNATURES,
+  {
+    mimeType: 'image/tiff',
+    test: (b) => b.subarray(0, 4).equals(Buffer.from([0x49, 0x49, 0x2a, 0x00])) ||
+      b.subarray(0, 4).equals(Buffer.from([0x4d, 0x4d, 0x00, 0x2a])),
+  },
+  { mimeType: DICOM_MIME_TYPE, test: (b) => b.toString('latin1', 128, 132) === 'DICM' },
+];
+
+/** Leading bytes needed to tell every supported type apart. */
+export const SNIFF_BYTES = 132;
+
+function sniff(signatures, buffer) {
+  return signatures.find(s => buffer.length >= 12 && s.test(buffer))?.mimeType ?? null;
+}
+
+/** Image MIME type from the file signature, or null for anything else. */
+export function sniffImageType(buffer) {
+  return sniff(IMAGE_SIGNATURES, buffer);
+}
+
+/** MIME type of an x-ray upload (an image, TIFF or DICOM), or null. */
+export function sniffXrayType(buffer) {
+  return sniff(XRAY_SIGNATURES, buffer);
+}
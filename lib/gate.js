@@ -0,0 +1,91 @@
+// lib/gate.js
+// Topic gate: a YES/NO classification of whether the conversation is about
+// dentistry. Every decision is stored as a GateDecision with the raw
+// classifier output and its confidence, so refusals can be appealed and
+// reviewed. Reviewed prompts can become allow/deny examples, which are
+// appended to the gate prompt as few-shot guidance.
+import prisma from './prismaClient.js';
+import { llm } from './llm/index.js';
+import { contextMessages } from './chatContext.js';
+import { recordUsage } from './usage.js';
+
+const EXAMPLE_LIMIT = Number(process.env.GATE_EXAMPLE_LIMIT) || 20;
+const EXAMPLE_MAX_CHARS = 300;
+
+const CACHE_MS = 30_000;
+let cached = null;
+
+export function invalidateGateExamples() {
+  cached = null;
+}
+
+async function gateExamples() {
+  if (cached && cached.expires > Date.now()) return cached.rows;
+
+  const rows = await prisma.gateExample.findMany({
+    where: { enabled: true },
+    orderBy: { createdAt: 'desc' },
+    take: EXAMPLE_LIMIT,
+    select: { text: true, allowed: true },
+  });
+  cached = { rows, expires: Date.now() + CACHE_MS };
+  return rows;
+}
+
+/** The gate prompt with the reviewed examples appended. */
+export function gateSystemPrompt(base, examples) {
+  if (!examples.length) return base;
+  const lines = examples.map(e =>
+    `Message: ${JSON.stringify(e.text.slice(0, EXAMPLE_MAX_CHARS))} → ${e.allowed ? 'YES' : 'NO'}`
+  );
+  return `${base}\n\nReviewed examples:\n${lines.join('\n')}`;
+}
+
+/**
+ * Classifies `userMessage` in `context` with the resolved gate `prompt`
+ * (lib/prompts.js) and stores the decision. The gate reads text only;
+ * `images` (how many are attached) is mentioned in the prompt it sees.
+ * Unparseable classifier output counts as a refusal. The call's usage is
+ * recorded against the prompt for `userId` on `plan`. Returns the GateDecision.
+ */
+export async function runGate({ context, userMessage, prompt, images = 0, userId, plan, signal }) {
+  const system = gateSystemPrompt(prompt.content, await gateExamples());
+  const text = images
+    ? `${userMessage.content}\n\n[${images} x-ray image${images > 1 ? 's' : ''} attached]`
+    : userMessage.content;
+  const messages = contextMessages(system, context, text);
+  const started = Date.now();
+  const { label, raw, confidence, usage, model, provider } = await llm('gate').classify({
+    messages,
+    labels: ['yes', 'no'],
+    signal,
+  });
+  await recordUsage({
+    messageId: userMessage.id, userId, plan, purpose: 'GATE', provider, model, usage,
+    messages, output: raw ?? '', latencyMs: Date.now() - started,
+  });
+
+  return prisma.gateDecision.create({
+    data: {
+      messageId: userMessage.id,
+      allowed: label === 'yes',
+      label,
+      raw: String(raw ?? '').slice(0, 1000),
+      confidence: confidence ?? null,
+      model: model ?? null,
+      promptVersion: prompt.label,
+      promptId: prompt.id,
+    },
+  });
+}
+
+/** Fields of a decision that are safe to show its user. */
+export function publicDecision(d) {
+  return {
+    decisionId: d.id,
+    allowed: d.allowed,
+    confidence: d.confidence,
+    appealable: !d.allowed && !d.appealedAt,
+    reviewStatus: d.reviewStatus,
+  };
+}
@@ -0,0 +1,158 @@
+// lib/i18n.js
+// Locales, prompt-language detection and localized strings. Detection is a
+// cheap offline heuristic (script + stopwords) that only has to tell apart
+// the languages we support.
+
+export const SUPPORTED_LOCALES = ['en', 'fr', 'ar'];
+export const DEFAULT_LOCALE = 'en';
+
+export const LANGUAGE_NAMES = { en: 'English', fr: 'French', ar: 'Arabic' };
+
+const RTL_LOCALES = new Set(['ar']);
+
+export function direction(locale) {
+  return RTL_LOCALES.has(locale) ? 'rtl' : 'ltr';
+}
+
+// ─── Detection ───────────────────────────────────────────────────────────────
+
+const ARABIC_LETTER = /[\u0600-\u06FF\u0750-\u077F\u08A0-\u08FF\uFB50-\uFDFF\uFE70-\uFEFF]/g;
+const LETTER = /\p{L}/gu;
+
+const STOPWORDS = {
+  en: new Set('the and is are of to in for with what how which can should does do my patient tooth teeth after before this that'.split(' ')),
+  fr: new Set('le la les des du de un une et est sont pour avec dans quel quelle quels comment peut doit mon ma mes patient dent dents après avant ce cette qui que'.split(' ')),
+};
+
+/** 'ar' | 'fr' | 'en', or null when the text is too short to tell. */
+export function detectLanguage(text) {
+  const letters = text.match(LETTER)?.length ?? 0;
+  if (letters < 3) return null;
+  if ((text.match(ARABIC_LETTER)?.length ?? 0) / letters > 0.3) return 'ar';
+
+  const words = text.toLowerCase().match(/\p{L}+/gu) ?? [];
+  const score = (lang) => words.filter(w => STOPWORDS[lang].has(w)).length;
+  const fr = score('fr') + (/[àâçéèêëîïôûùüÿœ]/i.test(text) ? 1 : 0);
+  const en = score('en');
+  if (fr === en) return null;
+  return fr > en ? 'fr' : 'en';
+}
+
+/** Best supported locale from Accept-Language, or null. */
+export function negotiateLocale(req) {
+  return req.acceptsLanguages(...SUPPORTED_LOCALES) || null;
+}
+
+/** The signed-in user's stored locale, else negotiateLocale(). */
+export function requestLocale(req) {
+  const stored = req.user?.locale;
+  return SUPPORTED_LOCALES.includes(stored) ? stored : negotiateLocale(req);
+}
+
+// ─── RTL safety ──────────────────────────────────────────────────────────────
+// Explicit embedding/override/isolate controls in model output or user text
+// can reorder what readers see (and break the surrounding layout), so they
+// are stripped; clients lay text out with the returned `dir` instead.
+
+const BIDI_CONTROLS = /[\u202A-\u202E\u2066-\u2069]/g;
+
+export function bidiSafe(text) {
+  return text.replace(BIDI_CONTROLS, '');
+}
+
+// ─── Strings ─────────────────────────────────────────────────────────────────
+
+const REFUSALS = {
+  en: 'I’m sorry… only dental topics.',
+  fr: 'Désolé… je ne traite que des sujets dentaires.',
+  ar: 'عذرًا… أجيب فقط عن المواضيع المتعلقة بطب الأسنان.',
+};
+
+export function refusalText(locale) {
+  return REFUSALS[locale] ?? REFUSALS[DEFAULT_LOCALE];
+}
+
+// API error strings keyed by their English text; untranslated strings and
+// machine-readable codes (e.g. `link_required`) pass through unchanged.
+const ERRORS = {
+  fr: {
+    'Not found': 'Introuvable',
+    'Not authenticated': 'Non authentifié',
+    'Forbidden': 'Accès refusé',
+    'Internal server error': 'Erreur interne du serveur',
+    'Too many requests': 'Trop de requêtes',
+    'Too many auth attempts': 'Trop de tentatives de connexion',
+    'Session not found': 'Session introuvable',
+    'Message not found': 'Message introuvable',
+    'User not found': 'Utilisateur introuvable',
+    'Card not found': 'Carte introuvable',
+    'Subscription not found': 'Abonnement introuvable',
+    'Chat quota exceeded': 'Quota de messages dépassé',
+    'Missing auth token': 'Jeton d’authentification manquant',
+    'Invalid or expired token': 'Jeton invalide ou expiré',
+    'Invalid email or password': 'E-mail ou mot de passe incorrect',
+    'Email already in use': 'Cette adresse e-mail est déjà utilisée',
+    'Email not verified': 'Adresse e-mail non vérifiée',
+    'Invalid code': 'Code invalide',
+    'Too many invalid codes; sign in again': 'Trop de codes invalides ; reconnectez-vous',
+    'API key scope does not allow this action': 'La portée de la clé API n’autorise pas cette action',
+    'Only refused prompts can be appealed': 'Seules les questions refusées peuvent faire l’objet d’un recours',
+    'This refusal has already been appealed': 'Un recours a déjà été déposé pour ce refus',
+    'This message cannot be regenerated': 'Ce message ne peut pas être régénéré',
+    'Only prompts can be edited': 'Seules vos questions peuvent être modifiées',
+    'Feedback is only accepted on answers': 'Les avis ne concernent que les réponses',
+    'Missing file': 'Fichier manquant',
+    'Missing name or image': 'Nom ou image manquant',
+    'Upload failed': 'Échec de l’envoi',
+    'File too large': 'Fichier trop volumineux',
+    'Patient not found': 'Patient introuvable',
+    'Clinic not found': 'Cabinet introuvable',
+    'Chart number already in use': 'Ce numéro de dossier est déjà utilisé',
+    'A clinic needs at least one owner': 'Un cabinet doit avoir au moins un propriétaire',
+    'Make another member an owner of your clinics first': 'Nommez d’abord un autre membre propriétaire de vos cabinets',
+    'Unsupported file type': 'Type de fichier non pris en charge',
+    'Invalid DICOM file': 'Fichier DICOM invalide',
+  },
+  ar: {
+    'Not found': 'غير موجود',
+    'Not authenticated': 'لم تتم المصادقة',
+    'Forbidden': 'غير مسموح',
+    'Internal server error': 'خطأ داخلي في الخادم',
+    'Too many requests': 'طلبات كثيرة جدًا',
+    'Too many auth attempts': 'محاولات تسجيل دخول كثيرة جدًا',
+    'Session not found': 'الجلسة غير موجودة',
+    'Message not found': 'الرسالة غير موجودة',
+    'User not found': 'المستخدم غير موجود',
+    'Card not found': 'البطاقة غير موجودة',
+    'Subscription not found': 'الاشتراك غير موجود',
+    'Chat quota exceeded': 'تم تجاوز حصة الرسائل',
+    'Missing auth token': 'رمز المصادقة مفقود',
+    'Invalid or expired token': 'الرمز غير صالح أو منتهي الصلاحية',
+    'Invalid email or password': 'البريد الإلكتروني أو كلمة المرور غير صحيحة',
+    'Email already in use': 'البريد الإلكتروني مستخدم بالفعل',
+    'Email not verified': 'البريد الإلكتروني غير مؤكد',
+    'Invalid code': 'الرمز غير صحيح',
+    'Too many invalid codes; sign in again': 'رموز غير صحيحة كثيرة جدًا؛ سجّل الدخول مجددًا',
+    'API key scope does not allow this action': 'نطاق مفتاح API لا يسمح بهذا الإجراء',
+    'Only refused prompts can be appealed': 'يمكن الاعتراض على الأسئلة المرفوضة فقط',
+    'This refusal has already been appealed': 'تم تقديم اعتراض على هذا الرفض مسبقًا',
+    'This message cannot be regenerated': 'لا يمكن إعادة إنشاء هذه الرسالة',
+    'Only prompts can be edited': 'يمكن تعديل الأسئلة فقط',
+    'Feedback is only accepted on answers': 'يُقبل التقييم على الإجابات فقط',
+    'Missing file': 'الملف مفقود',
+    'Missing name or image': 'الاسم أو الصورة مفقودة',
+    'Upload failed': 'فشل الرفع',
+    'File too large': 'الملف كبير جدًا',
+    'Patient not found': 'المريض غير موجود',
+    'Clinic not found': 'العيادة غير موجودة',
+    'Chart number already in use': 'رقم الملف مستخدم بالفعل',
+    'A clinic needs at least one owner': 'يجب أن يكون للعيادة مالك واحد على الأقل',
+    'Make another member an owner of your clinics first': 'عيّن أولًا عضوًا آخر مالكًا لعياداتك',
+    'Unsupported file type': 'نوع الملف غير مدعوم',
+    'Invalid DICOM file': 'ملف DICOM غير صالح',
+  },
+};
+
+export function translateError(locale, message) {
+  return ERRORS[locale]?.[message] ?? message;
+}
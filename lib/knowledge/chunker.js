@@ -0,0 +1,43 @@
+// lib/knowledge/chunker.js
+// Splits extracted pages into overlapping word windows. Chunks never cross
+// a page (so each cites exactly one page) or, in Markdown, a heading (the
+// heading is kept as the chunk's section).
+
+const CHUNK_WORDS = Number(process.env.KB_CHUNK_WORDS) || 200;
+const CHUNK_OVERLAP = Number(process.env.KB_CHUNK_OVERLAP) || 40;
+
+const HEADING = /^#{1,6}\s+(.+?)\s*#*\s*$/;
+
+function sections(text, markdown) {
+  if (!markdown) return [{ section: null, text }];
+
+  const out = [{ section: null, lines: [] }];
+  for (const line of text.split(/\r?\n/)) {
+    const heading = line.match(HEADING);
+    if (heading) out.push({ section: heading[1], lines: [] });
+    else out[out.length - 1].lines.push(line);
+  }
+  return out.map(s => ({ section: s.section, text: s.lines.join('\n') }));
+}
+
+function windows(words, size, overlap) {
+  const step = Math.max(1, size - overlap);
+  const out = [];
+  for (let i = 0; i < words.length; i += step) {
+    out.push(words.slice(i, i + size).join(' '));
+    if (i + size >= words.length) break;
+  }
+  return out;
+}
+
+/** `[{ page, text }]` → `[{ page, section, content }]` */
+export function chunkPages(pages, { markdown = false, size = CHUNK_WORDS, overlap = CHUNK_OVERLAP } = {}) {
+  const chunks = [];
+  for (const { page, text } of pages) {
+    for (const { section, text: body } of sections(text, markdown)) {
+      const words = body.split(/\s+/).filter(Boolean);
+      for (const content of windows(words, size, overlap)) chunks.push({ page, section, content });
+    }
+  }
+  return chunks;
+}
@@ -0,0 +1,59 @@
+// lib/knowledge/extract.js
+// Turns an uploaded reference document into text, one entry per page so
+// answers can cite page numbers. The type is sniffed from the bytes and the
+// file name; the client-supplied MIME type is not trusted.
+import { getDocument, VerbosityLevel } from 'pdfjs-dist/legacy/build/pdf.mjs';
+
+export const KNOWLEDGE_TYPES = {
+  pdf: 'application/pdf',
+  markdown: 'text/markdown',
+  text: 'text/plain',
+};
+
+const PDF_MAGIC = Buffer.from('%PDF-');
+
+function decodeUtf8(buffer) {
+  try {
+    const text = new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    return text.includes('\u0000') ? null : text;
+  } catch {
+    return null;
+  }
+}
+
+/** Returns 'pdf' | 'markdown' | 'text', or null for anything else. */
+export function detectType(buffer, filename = '') {
+  if (buffer.subarray(0, PDF_MAGIC.length).equals(PDF_MAGIC)) return 'pdf';
+  if (decodeUtf8(buffer) === null) return null;
+  return /\.(md|markdown)$/i.test(filename) ? 'markdown' : 'text';
+}
+
+async function pdfPages(buffer) {
+  const pdf = await getDocument({
+    data: new Uint8Array(buffer),
+    isEvalSupported: false,
+    disableFontFace: true,
+    verbosity: VerbosityLevel.ERRORS,
+  }).promise;
+  try {
+    const pages = [];
+    for (let n = 1; n <= pdf.numPages; n++) {
+      const page = await pdf.getPage(n);
+      const { items } = await page.getTextContent();
+      pages.push({ page: n, text: items.map(i => i.str + (i.hasEOL ? '\n' : '')).join('') });
+      page.cleanup();
+    }
+    return pages;
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+/**
+ * Extracts `[{ page, text }]`. PDF pages are numbered from 1; Markdown and
+ * plain text have a single entry with `page: null`.
+ */
+export async function extractPages(buffer, type) {
+  if (type === 'pdf') return pdfPages(buffer);
+  return [{ page: null, text: decodeUtf8(buffer) ?? '' }];
+}
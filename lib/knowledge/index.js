@@ -0,0 +1,197 @@
+// lib/knowledge/index.js
+// Local knowledge base for retrieval-augmented answers: reference documents
+// (guidelines, product IFUs) are split into chunks, embedded (lib/embeddings)
+// and stored in Postgres. Chat answers retrieve the closest chunks and cite
+// them as numbered sources.
+import crypto from 'crypto';
+
+import prisma from '../prismaClient.js';
+import { embed, embeddingId, embeddingTargets } from '../embeddings/index.js';
+import { estimateTokens } from '../chatContext.js';
+import { KNOWLEDGE_TYPES, detectType, extractPages } from './extract.js';
+import { chunkPages } from './chunker.js';
+
+const TOP_K = Number(process.env.KB_TOP_K) || 4;
+// Cosine scores are not comparable across embedders: the hashing embedder
+// scores related text far lower than neural models do.
+const MIN_SCORE = process.env.KB_MIN_SCORE ? Number(process.env.KB_MIN_SCORE) : null;
+const DEFAULT_MIN_SCORE = { local: 0.05 };
+const NEURAL_MIN_SCORE = 0.3;
+
+export { KNOWLEDGE_TYPES };
+
+function minScoreFor(id) {
+  return MIN_SCORE ?? DEFAULT_MIN_SCORE[id.split(':')[0]] ?? NEURAL_MIN_SCORE;
+}
+
+async function storeChunks(documentId, chunks) {
+  const { vectors, id } = await embed(chunks.map(c => c.content));
+  await prisma.$transaction([
+    prisma.knowledgeChunk.deleteMany({ where: { documentId } }),
+    prisma.knowledgeChunk.createMany({
+      data: chunks.map((c, i) => ({
+        documentId,
+        ordinal: i,
+        page: c.page,
+        section: c.section,
+        content: c.content,
+        tokenCount: estimateTokens(c.content),
+        embedding: vectors[i],
+        embeddingModel: id,
+      })),
+    }),
+    prisma.knowledgeDocument.update({
+      where: { id: documentId },
+      data: { status: 'READY', error: null, embeddingModel: id },
+    }),
+  ]);
+}
+
+async function markFailed(documentId, err) {
+  console.error(`Knowledge document ${documentId} failed`, err);
+  return prisma.knowledgeDocument.update({
+    where: { id: documentId },
+    data: { status: 'FAILED', error: String(err.message ?? err).slice(0, 500) },
+  });
+}
+
+/**
+ * Ingests one uploaded file. Returns `{ document }` on success, or
+ * `{ error }` with 'unsupported_type' | 'duplicate' | 'empty' | 'failed'
+ * (the last three also carry the affected `document`).
+ */
+export async function ingestDocument({ buffer, filename, title, uploadedById }) {
+  const type = detectType(buffer, filename);
+  if (!type) return { error: 'unsupported_type' };
+
+  const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+  const existing = await prisma.knowledgeDocument.findUnique({ where: { sha256 } });
+  if (existing) return { error: 'duplicate', document: existing };
+
+  let document = await prisma.knowledgeDocument.create({
+    data: {
+      title: title || filename?.replace(/\.[^.]+$/, '') || 'Untitled',
+      filename: filename ?? null,
+      mimeType: KNOWLEDGE_TYPES[type],
+      sizeBytes: buffer.length,
+      sha256,
+      uploadedById: uploadedById ?? null,
+    },
+  });
+
+  try {
+    const pages = await extractPages(buffer, type);
+    const chunks = chunkPages(pages, { markdown: type === 'markdown' });
+    if (!chunks.length) {
+      document = await markFailed(document.id, new Error('No extractable text (scanned PDF?)'));
+      return { error: 'empty', document };
+    }
+
+    await storeChunks(document.id, chunks);
+    document = await prisma.knowledgeDocument.update({
+      where: { id: document.id },
+      data: { pageCount: type === 'pdf' ? pages.length : null },
+    });
+    return { document };
+  } catch (err) {
+    return { error: 'failed', document: await markFailed(document.id, err) };
+  }
+}
+
+/**
+ * Re-embeds a document's stored chunks with the current embedding
+ * configuration (e.g. after switching providers). Returns the document.
+ */
+export async function reindexDocument(documentId) {
+  const chunks = await prisma.knowledgeChunk.findMany({
+    where: { documentId },
+    orderBy: { ordinal: 'asc' },
+    select: { page: true, section: true, content: true },
+  });
+  try {
+    if (chunks.length) await storeChunks(documentId, chunks);
+    return prisma.knowledgeDocument.findUnique({ where: { id: documentId } });
+  } catch (err) {
+    return markFailed(documentId, err);
+  }
+}
+
+// Embedding ids present in the searchable corpus, configured targets first
+async function searchableEmbeddings() {
+  const rows = await prisma.$queryRaw`
+    SELECT DISTINCT c."embeddingModel" AS "id"
+    FROM "KnowledgeChunk" c
+    JOIN "KnowledgeDocument" d ON d."id" = c."documentId"
+    WHERE d."enabled" AND d."status" = 'READY'`;
+  const present = rows.map(r => r.id);
+  const preferred = embeddingTargets().map(embeddingId).filter(id => present.includes(id));
+  return [...preferred, ...present.filter(id => !preferred.includes(id))];
+}
+
+/**
+ * Returns up to `limit` chunks closest to `query` as
+ * `[{ chunkId, documentId, title, page, section, content, score }]`.
+ * Only chunks embedded like the query are compared; if that embedder is
+ * unavailable the next one present in the corpus is tried.
+ */
+export async function retrieve(query, { limit = TOP_K, signal } = {}) {
+  for (const id of await searchableEmbeddings()) {
+    let vector;
+    try {
+      [vector] = (await embed([query], { id, signal })).vectors;
+    } catch (err) {
+      if (signal?.aborted) throw err;
+      console.warn(`Knowledge retrieval: cannot embed with ${id} (${err.message})`);
+      continue;
+    }
+
+    // Vectors are unit length, so the dot product is the cosine similarity
+    const rows = await prisma.$queryRaw`
+      SELECT
+        c."id"         AS "chunkId",
+        c."documentId" AS "documentId",
+        d."title"      AS "title",
+        c."page"       AS "page",
+        c."section"    AS "section",
+        c."content"    AS "content",
+        (SELECT sum(a * b) FROM unnest(c."embedding", ${vector}::real[]) AS t(a, b))::float8 AS "score"
+      FROM "KnowledgeChunk" c
+      JOIN "KnowledgeDocument" d ON d."id" = c."documentId"
+      WHERE c."embeddingModel" = ${id} AND d."enabled" AND d."status" = 'READY'
+      ORDER BY "score" DESC
+      LIMIT ${limit}`;
+    return rows.filter(r => r.score >= minScoreFor(id));
+  }
+  return [];
+}
+
+function sourceLabel(s) {
+  return [s.title, s.section, s.page ? `page ${s.page}` : null].filter(Boolean).join(' — ');
+}
+
+/** System-prompt block listing retrieved chunks as numbered sources. */
+export function sourcesPrompt(sources) {
+  if (!sources.length) {
+    return 'No reference material matched this question. Do not cite or invent sources.';
+  }
+  const blocks = sources.map((s, i) => `[${i + 1}] ${sourceLabel(s)} (document ${s.documentId})\n${s.content}`);
+  return `Reference material (cite as [n]):\n\n${blocks.join('\n\n')}`;
+}
+
+/**
+ * Sources the answer actually cites with [n] markers, as stored on the
+ * Message: `[{ n, documentId, chunkId, title, page, section }]`.
+ */
+export function citationsFor(answer, sources) {
+  const cited = new Set([...answer.matchAll(/\[(\d+)\]/g)].map(m => Number(m[1])));
+  return sources
+    .map((s, i) => ({
+      n: i + 1,
+      documentId: s.documentId,
+      chunkId: s.chunkId,
+      title: s.title,
+      page: s.page,
+      section: s.section,
+    }))
+    .filter(c => cited.has(c.n));
+}
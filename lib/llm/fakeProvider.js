@@ -0,0 +1,66 @@
+// lib/llm/fakeProvider.js
+// Deterministic offline provider for tests and local development: the same
+// input always produces the same output, and no network is touched.
+
+const DENTAL_TERMS = /\b(dent\w*|tooth|teeth|caries|crown|implant|root canal|endo\w*|perio\w*|gingiv\w*|enamel|molar|incisor|pulp\w*|orthodont\w*|occlus\w*|x-?ray|radiograph\w*|composite|amalgam|veneer|bridge|extraction|floss|plaque|tartar|fluoride)\b/i;
+
+// Content is a string or OpenAI-style parts (text + image_url)
+function textOf(content) {
+  return typeof content === 'string' ? content : content.filter(p => p.type === 'text').map(p => p.text).join('\n');
+}
+
+function imageCount(content) {
+  return typeof content === 'string' ? 0 : content.filter(p => p.type === 'image_url').length;
+}
+
+function lastUser(messages) {
+  return [...messages].reverse().find(m => m.role === 'user')?.content ?? '';
+}
+
+function lastUserText(messages) {
+  return textOf(lastUser(messages));
+}
+
+// Images are billed at a flat 85 tokens, like OpenAI's low-detail mode
+function fakeUsage(messages, text) {
+  const prompt_tokens = messages.reduce(
+    (n, m) => n + Math.ceil(textOf(m.content).length / 4) + imageCount(m.content) * 85, 0
+  );
+  const completion_tokens = Math.ceil(text.length / 4);
+  return { prompt_tokens, completion_tokens, total_tokens: prompt_tokens + completion_tokens };
+}
+
+// Cites every numbered source (`[n] …` lines) offered in the system prompt
+function respond(messages) {
+  const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n');
+  const cites = [...system.matchAll(/^\[(\d+)\]/gm)].map(m => `[${m[1]}]`).join('');
+  const images = imageCount(lastUser(messages));
+  const seen = images ? ` (${images} image${images > 1 ? 's' : ''} reviewed)` : '';
+  return `## Answer\n\n- (fake) ${lastUserText(messages)}${seen}${cites ? ` ${cites}` : ''}`;
+}
+
+export function createFakeProvider({ name = 'fake' } = {}) {
+  return {
+    name,
+
+    async complete({ model, messages }) {
+      const text = respond(messages);
+      return { text, usage: fakeUsage(messages, text), model: model ?? 'fake' };
+    },
+
+    // Picks the first label for prompts mentioning dental terms, else the last
+    async classify({ model, messages, labels }) {
+      const label = DENTAL_TERMS.test(lastUserText(messages)) ? labels[0] : labels[labels.length - 1];
+      return { label, raw: label.toUpperCase(), confidence: 1, usage: fakeUsage(messages, label), model: model ?? 'fake' };
+    },
+
+    async *stream({ messages, signal }) {
+      const text = respond(messages);
+      for (const piece of text.match(/\S+\s*/g) ?? []) {
+        if (signal?.aborted) throw Object.assign(new Error('Aborted'), { name: 'AbortError' });
+        yield { type: 'delta', text: piece };
+      }
+      yield { type: 'usage', usage: fakeUsage(messages, text) };
+    },
+  };
+}
@@ -0,0 +1,112 @@
+// lib/llm/index.js
+// Provider registry and per-purpose model routing.
+//
+// Each purpose (gate, answer, vision, summary, title) is configured
+// independently; `vision` answers prompts with images attached and needs a
+// model that accepts image input:
+//   LLM_<PURPOSE>_PROVIDER / LLM_<PURPOSE>_MODEL                  primary
+//   LLM_<PURPOSE>_FALLBACK_PROVIDER / LLM_<PURPOSE>_FALLBACK_MODEL secondary
+// Providers: `openai` (OPENAI_API_KEY), `compatible` (LLM_COMPAT_BASE_URL,
+// LLM_COMPAT_API_KEY) for self-hosted OpenAI-compatible servers, and `fake`.
+import { createOpenAIProvider } from './openaiProvider.js';
+import { createFakeProvider } from './fakeProvider.js';
+
+const factories = {
+  openai: () => {
+    if (!process.env.OPENAI_API_KEY) throw new Error('OPENAI_API_KEY not set');
+    return createOpenAIProvider({ name: 'openai', apiKey: process.env.OPENAI_API_KEY });
+  },
+  compatible: () => {
+    if (!process.env.LLM_COMPAT_BASE_URL) throw new Error('LLM_COMPAT_BASE_URL not set');
+    return createOpenAIProvider({
+      name: 'compatible',
+      baseURL: process.env.LLM_COMPAT_BASE_URL,
+      apiKey: process.env.LLM_COMPAT_API_KEY,
+    });
+  },
+  fake: () => createFakeProvider(),
+};
+
+const instances = new Map();
+
+export function registerProvider(name, factory) {
+  factories[name] = factory;
+  instances.delete(name);
+}
+
+export function getProvider(name) {
+  if (!instances.has(name)) {
+    const factory = factories[name];
+    if (!factory) throw new Error(`Unknown LLM provider "${name}"`);
+    instances.set(name, factory());
+  }
+  return instances.get(name);
+}
+
+function purposeConfig(purpose) {
+  const env = (key) => process.env[`LLM_${purpose.toUpperCase()}_${key}`];
+  const defaultProvider = process.env.LLM_PROVIDER || 'openai';
+  return {
+    primary: {
+      provider: env('PROVIDER') || defaultProvider,
+      model: env('MODEL') || process.env.GPT_MODEL,
+    },
+    fallback: env('FALLBACK_PROVIDER')
+      ? { provider: env('FALLBACK_PROVIDER'), model: env('FALLBACK_MODEL') || process.env.GPT_MODEL }
+      : null,
+  };
+}
+
+function isAbort(err, signal) {
+  return signal?.aborted || err?.name === 'AbortError';
+}
+
+function tag(result, target) {
+  return { ...result, model: result.model ?? target.model, provider: target.provider };
+}
+
+/**
+ * Returns a client for `purpose` exposing `complete`, `classify` and
+ * `stream`. Calls go to the primary provider and fall back to the secondary
+ * one on failure (never on client aborts). Results carry `model`/`provider`.
+ */
+export function llm(purpose) {
+  const { primary, fallback } = purposeConfig(purpose);
+
+  async function withFallback(method, args) {
+    try {
+      return tag(await getProvider(primary.provider)[method]({ ...args, model: primary.model }), primary);
+    } catch (err) {
+      if (!fallback || isAbort(err, args.signal)) throw err;
+      console.warn(`LLM ${purpose}: ${primary.provider} failed (${err.message}); falling back to ${fallback.provider}`);
+      return tag(await getProvider(fallback.provider)[method]({ ...args, model: fallback.model }), fallback);
+    }
+  }
+
+  return {
+    purpose,
+    model: primary.model,
+
+    complete: (args) => withFallback('complete', args),
+
+    classify: (args) => withFallback('classify', args),
+
+    // Falls back only if the primary fails before producing any output;
+    // the first yielded event is `{ type: 'meta', model, provider }`.
+    async *stream(args) {
+      let started = false;
+      try {
+        yield { type: 'meta', model: primary.model, provider: primary.provider };
+        for await (const event of getProvider(primary.provider).stream({ ...args, model: primary.model })) {
+          started = true;
+          yield event;
+        }
+      } catch (err) {
+        if (started || !fallback || isAbort(err, args.signal)) throw err;
+        console.warn(`LLM ${purpose}: ${primary.provider} stream failed (${err.message}); falling back to ${fallback.provider}`);
+        yield { type: 'meta', model: fallback.model, provider: fallback.provider };
+        yield* getProvider(fallback.provider).stream({ ...args, model: fallback.model });
+      }
+    },
+  };
+}
@@ -0,0 +1,60 @@
+// lib/llm/openaiProvider.js
+import OpenAI from 'openai';
+
+/**
+ * Provider backed by the OpenAI SDK. Passing `baseURL` targets any
+ * OpenAI-compatible server (vLLM, Ollama, LM Studio, llama.cpp…).
+ */
+export function createOpenAIProvider({ name = 'openai', apiKey, baseURL, client } = {}) {
+  const sdk = client ?? new OpenAI({
+    apiKey: apiKey || 'not-needed',
+    ...(baseURL ? { baseURL } : {}),
+  });
+
+  return {
+    name,
+
+    async complete({ model, messages, signal }) {
+      const resp = await sdk.chat.completions.create({ model, messages }, { signal });
+      return {
+        text: resp.choices[0]?.message?.content?.trim() ?? '',
+        usage: resp.usage ?? null,
+        model: resp.model ?? model,
+      };
+    },
+
+    // Classification is a constrained completion: the reply's first word is
+    // matched against `labels`; anything else resolves to null. `confidence`
+    // is the first token's probability when the server returns logprobs.
+    async classify({ model, messages, labels, signal }) {
+      const resp = await sdk.chat.completions.create({ model, messages, logprobs: true }, { signal });
+      const choice = resp.choices[0];
+      const text = choice?.message?.content?.trim() ?? '';
+      const first = text.toLowerCase().match(/[a-z_-]+/)?.[0];
+      const label = labels.find(l => l.toLowerCase() === first) ?? null;
+      const logprob = choice?.logprobs?.content?.[0]?.logprob;
+      return {
+        label,
+        raw: text,
+        confidence: label && typeof logprob === 'number' ? Math.exp(logprob) : null,
+        usage: resp.usage ?? null,
+        model: resp.model ?? model,
+      };
+    },
+
+    async *stream({ model, messages, signal }) {
+      const stream = await sdk.chat.completions.create({
+        model,
+        messages,
+        stream: true,
+        stream_options: { include_usage: true },
+      }, { signal });
+
+      for await (const chunk of stream) {
+        const text = chunk.choices[0]?.delta?.content;
+        if (text) yield { type: 'delta', text };
+        if (chunk.usage) yield { type: 'usage', usage: chunk.usage };
+      }
+    },
+  };
+}
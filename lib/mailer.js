@@ -0,0 +1,113 @@
+// lib/mailer.js
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+
+// ─── Transports ──────────────────────────────────────────────────────────────
+// A transport is any object with `async send({ to, subject, text, html })`.
+// `smtp` delivers mail: SMTP_URL (smtp[s]://user:pass@host:port), or
+// SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS. `console` and
+// `file` are for dev/tests and refuse to send when NODE_ENV=production.
+// Other providers register themselves with registerTransport(). MAIL_TRANSPORT
+// selects one; the default is `smtp` when SMTP is configured, `console`
+// otherwise.
+
+const DEV_TRANSPORTS = new Set(['console', 'file']);
+
+// Mails carry working sign-in and reset tokens; keep them out of logs
+function redactTokens(text) {
+  return text.replace(/([?&]token=)[^\s&]+/g, '$1[redacted]');
+}
+
+const transports = {
+  smtp: () => {
+    const transporter = nodemailer.createTransport(process.env.SMTP_URL || {
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      ...(process.env.SMTP_USER ? { auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } } : {}),
+    });
+    return {
+      async send(msg) {
+        await transporter.sendMail(msg);
+      },
+    };
+  },
+
+  // Links are redacted; use `file` to follow them locally
+  console: () => ({
+    async send(msg) {
+      console.log(`📧 [mail] to=${msg.to} subject="${msg.subject}"\n${redactTokens(msg.text)}`);
+    },
+  }),
+
+  file: () => {
+    const dir = process.env.MAIL_OUTBOX_DIR || 'mail-outbox';
+    return {
+      async send(msg) {
+        await fs.mkdir(dir, { recursive: true });
+        const name = `${Date.now()}-${msg.to.replace(/[^a-z0-9@.-]/gi, '_')}.json`;
+        await fs.writeFile(path.join(dir, name), JSON.stringify(msg, null, 2));
+      },
+    };
+  },
+};
+
+export function registerTransport(name, factory) {
+  transports[name] = factory;
+}
+
+let active = null;
+
+/** Overrides the configured transport (e.g. with an in-memory one in tests). */
+export function setTransport(transport) {
+  active = transport;
+}
+
+function getTransport() {
+  if (active) return active;
+  const smtpConfigured = Boolean(process.env.SMTP_URL || process.env.SMTP_HOST);
+  const name = process.env.MAIL_TRANSPORT || (smtpConfigured ? 'smtp' : 'console');
+  const factory = transports[name];
+  if (!factory) throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+  if (process.env.NODE_ENV === 'production' && DEV_TRANSPORTS.has(name)) {
+    throw new Error(`MAIL_TRANSPORT "${name}" does not deliver mail; configure SMTP for production`);
+  }
+  active = factory();
+  return active;
+}
+
+export async function sendMail({ to, subject, text, html }) {
+  const from = process.env.MAIL_FROM || 'DentGo <no-reply@dentgo.io>';
+  await getTransport().send({ from, to, subject, text, html });
+}
+
+// ─── Templates ───────────────────────────────────────────────────────────────
+
+function link(pathname, token) {
+  return `${process.env.FRONTEND_ORIGIN}${pathname}?token=${encodeURIComponent(token)}`;
+}
+
+export function sendVerificationEmail(user, token) {
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your DentGo email',
+    text: `Hi ${user.name},\n\nConfirm your email address:\n${link('/verify-email', token)}\n\nThis link expires in 24 hours.`,
+  });
+}
+
+export function sendPasswordResetEmail(user, token) {
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your DentGo password',
+    text: `Hi ${user.name},\n\nReset your password:\n${link('/reset-password', token)}\n\nThis link expires in 1 hour. If you did not ask for it, ignore this email.`,
+  });
+}
+
+export function sendMagicLinkEmail(user, token) {
+  return sendMail({
+    to: user.email,
+    subject: 'Your DentGo sign-in link',
+    text: `Hi ${user.name},\n\nSign in to DentGo:\n${link('/magic-link', token)}\n\nThis link expires in 15 minutes and can only be used once.`,
+  });
+}
@@ -2,3 +2,12 @@
 export function normalizeEmail(email) {
   return typeof email === 'string' ? email.toLowerCase().trim() : email;
 }
+
+/**
+ * Exclusive upper bound (`<`) for a `to` query value: a bare date
+ * (YYYY-MM-DD) covers that whole UTC day, a timestamp includes itself.
+ */
+export function rangeEnd(to) {
+  const time = new Date(to).getTime();
+  return new Date(/^\d{4}-\d{2}-\d{2}$/.test(to) ? time + 86_400_000 : time + 1);
+}
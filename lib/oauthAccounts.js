@@ -0,0 +1,127 @@
+// lib/oauthAccounts.js
+import prisma from './prismaClient.js';
+import { normalizeEmail } from './normalize.js';
+
+export const OAUTH_PROVIDERS = ['google', 'apple'];
+
+function tokenFields({ accessToken, refreshToken } = {}) {
+  return {
+    ...(accessToken ? { accessToken } : {}),
+    ...(refreshToken ? { refreshToken } : {}),
+  };
+}
+
+// A password registration whose email was never verified, with no provider
+// linked, proves nothing about owning the address
+function isUnclaimed(user) {
+  return !user.emailVerifiedAt && user._count.oauth === 0;
+}
+
+// Hands an unclaimed row to the verified owner of its email: every
+// credential the registrant set up (password, 2FA, sessions, API keys,
+// pending email links) is dropped
+async function claimUser(user, { provider, providerUserId, name, picture, tokens }) {
+  const now = new Date();
+  const userId = user.id;
+  const [, , , , claimed] = await prisma.$transaction([
+    prisma.authSession.updateMany({
+      where: { userId, revokedAt: null },
+      data: { revokedAt: now, revokedReason: 'email-claimed' },
+    }),
+    prisma.apiKey.updateMany({ where: { userId, revokedAt: null }, data: { revokedAt: now } }),
+    prisma.authToken.deleteMany({ where: { userId } }),
+    prisma.recoveryCode.deleteMany({ where: { userId } }),
+    prisma.user.update({
+      where: { id: userId },
+      data: {
+        name: name || user.name,
+        picture: picture ?? null,
+        passwordHash: null,
+        totpSecret: null,
+        totpEnabledAt: null,
+        totpLastStep: null,
+        emailVerifiedAt: now,
+        oauth: { create: { provider, providerUserId, ...tokenFields(tokens) } },
+      },
+    }),
+  ]);
+  return claimed;
+}
+
+/**
+ * Resolves a provider sign-in to a user without ever merging on email.
+ *
+ * - a known (provider, providerUserId) signs in its linked user;
+ * - an unknown identity with a fresh email creates a new user;
+ * - an unknown identity whose provider-verified email belongs to an
+ *   unverified password registration takes that row over, so registering
+ *   someone else's address cannot lock them out;
+ * - an unknown identity whose email already belongs to any other user is
+ *   refused with `{ error: 'link_required' }` until that user links it
+ *   themselves.
+ */
+export async function resolveOAuthSignIn(identity) {
+  const { provider, providerUserId, email: rawEmail, emailVerified, name, picture, tokens } = identity;
+  const linked = await prisma.oAuthAccount.findUnique({
+    where: { provider_providerUserId: { provider, providerUserId } },
+    include: { user: true },
+  });
+  if (linked) {
+    if (tokens) {
+      await prisma.oAuthAccount.update({ where: { id: linked.id }, data: tokenFields(tokens) });
+    }
+    return { user: linked.user };
+  }
+
+  const email = normalizeEmail(rawEmail);
+  if (!email) return { error: 'email_required' };
+
+  const existing = await prisma.user.findUnique({ where: { email }, include: { _count: { select: { oauth: true } } } });
+  if (existing && emailVerified && isUnclaimed(existing)) return { user: await claimUser(existing, identity) };
+  if (existing) return { error: 'link_required' };
+
+  const user = await prisma.user.create({
+    data: {
+      name: name || email,
+      email,
+      picture: picture ?? null,
+      oauth: { create: { provider, providerUserId, ...tokenFields(tokens) } },
+    },
+  });
+  return { user };
+}
+
+/**
+ * Attaches a provider identity to `userId`. Returns `{ account }`, or
+ * `{ error: 'linked_elsewhere' }` when the identity belongs to another user.
+ */
+export async function linkOAuthAccount(userId, { provider, providerUserId, tokens }) {
+  const existing = await prisma.oAuthAccount.findUnique({
+    where: { provider_providerUserId: { provider, providerUserId } },
+  });
+  if (existing && existing.userId !== userId) return { error: 'linked_elsewhere' };
+  if (existing) return { account: existing };
+
+  const account = await prisma.oAuthAccount.create({
+    data: { provider, providerUserId, userId, ...tokenFields(tokens) },
+  });
+  return { account };
+}
+
+/**
+ * Removes a linked provider, refusing when it is the last sign-in method
+ * (no password and no other linked provider).
+ */
+export async function unlinkOAuthAccount(userId, accountId) {
+  const account = await prisma.oAuthAccount.findUnique({ where: { id: accountId } });
+  if (!account || account.userId !== userId) return { error: 'not_found' };
+
+  const [others, user] = await Promise.all([
+    prisma.oAuthAccount.count({ where: { userId, id: { not: accountId } } }),
+    prisma.user.findUnique({ where: { id: userId }, select: { passwordHash: true } }),
+  ]);
+  if (others === 0 && !user?.passwordHash) return { error: 'last_method' };
+
+  await prisma.oAuthAccount.delete({ where: { id: accountId } });
+  return { account };
+}
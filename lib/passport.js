@@ -3,12 +3,39 @@ import passport from 'passport';
 import { Strategy as GoogleStrategy } from 'passport-google-oauth20';
 import { Strategy as AppleStrategy } from 'passport-apple';
 import prisma from './prismaClient.js';
-import { normalizeEmail } from '../lib/normalize.js';
+import { readLinkIntent } from './auth.js';
+import { resolveOAuthSignIn, linkOAuthAccount } from './oauthAccounts.js';
 
 // Persist user object to session (required for AppleStrategy)
 passport.serializeUser((user, done) => done(null, user));
 passport.deserializeUser((obj, done) => done(null, obj));
 
+// Shared verify step: link to the signed-in user when a link intent is
+// present, otherwise resolve a sign-in. Failures surface as `info.reason`.
+async function verifyIdentity(req, identity, done) {
+  try {
+    const intent = readLinkIntent(req, identity.provider);
+    if (intent) {
+      // The callback must come back with the state sent at the start of this
+      // link; anything else is a code planted by someone else
+      const state = req.query?.state ?? req.body?.state;
+      if (state !== intent.nonce) return done(null, false, { reason: 'state_mismatch', linking: true });
+
+      const { error } = await linkOAuthAccount(intent.userId, identity);
+      if (error) return done(null, false, { reason: error, linking: true });
+      const user = await prisma.user.findUnique({ where: { id: intent.userId } });
+      return done(null, user, { linking: true });
+    }
+
+    const { user, error } = await resolveOAuthSignIn(identity);
+    if (error) return done(null, false, { reason: error });
+    done(null, user);
+  } catch (err) {
+    console.error(`${identity.provider} strategy error:`, err);
+    done(err, null);
+  }
+}
+
 // Google OAuth strategy
 passport.use(
   new GoogleStrategy(
@@ -16,35 +43,17 @@ passport.use(
       clientID: process.env.GOOGLE_CLIENT_ID,
       clientSecret: process.env.GOOGLE_CLIENT_SECRET,
       callbackURL: '/api/auth/google/callback',
+      passReqToCallback: true,
     },
-    async (_accessToken, _refreshToken, profile, done) => {
-      try {
-        const rawEmail = profile.emails?.[0]?.value;
-        const email = normalizeEmail(rawEmail);
-        const name = profile.displayName;
-        const pic = profile.photos?.[0]?.value;
-        const providerUserId = profile.id;
-
-        const user = await prisma.user.upsert({
-          where: { email },
-          update: { name, picture: pic },
-          create: { name, email, picture: pic },
-        });
-
-        await prisma.oAuthAccount.upsert({
-          where: {
-            provider_providerUserId: { provider: 'google', providerUserId },
-          },
-          update: { userId: user.id },
-          create: { provider: 'google', providerUserId, userId: user.id },
-        });
-
-        done(null, user);
-      } catch (err) {
-        console.error('GoogleStrategy error:', err);
-        done(err, null);
-      }
-    }
+    (req, _accessToken, _refreshToken, profile, done) =>
+      verifyIdentity(req, {
+        provider: 'google',
+        providerUserId: profile.id,
+        email: profile.emails?.[0]?.value,
+        emailVerified: profile.emails?.[0]?.verified === true || profile.emails?.[0]?.verified === 'true',
+        name: profile.displayName,
+        picture: profile.photos?.[0]?.value,
+      }, done)
   )
 );
 
@@ -58,46 +67,19 @@ passport.use(
       privateKey: process.env.APPLE_PRIVATE_KEY,
       callbackURL: process.env.APPLE_CALLBACK_URL,
       scope: ['name', 'email'],
+      passReqToCallback: true,
     },
-    async (accessToken, refreshToken, idToken, profile, done) => {
-      try {
-        const rawEmail = profile.email;
-        const email = normalizeEmail(rawEmail);
-        const name = `${profile.name?.givenName || ''} ${profile.name?.familyName || ''}`.trim();
-        const providerUserId = profile.id;
-
-        const user = await prisma.user.upsert({
-          where: { email },
-          update: { name },
-          create: { name, email, picture: null },
-        });
-
-        await prisma.oAuthAccount.upsert({
-          where: {
-            provider_providerUserId: { provider: 'apple', providerUserId },
-          },
-          update: {
-            userId: user.id,
-            accessToken,
-            refreshToken: refreshToken ?? undefined,
-            expiresAt: null,
-          },
-          create: {
-            provider: 'apple',
-            providerUserId,
-            userId: user.id,
-            accessToken,
-            refreshToken: refreshToken ?? null,
-            expiresAt: null,
-          },
-        });
-
-        done(null, user);
-      } catch (err) {
-        console.error('AppleStrategy error:', err);
-        done(err, null);
-      }
-    }
+    (req, accessToken, refreshToken, _idToken, profile, done) =>
+      verifyIdentity(req, {
+        provider: 'apple',
+        providerUserId: profile.id,
+        email: profile.email,
+        // Apple only releases addresses it has verified
+        emailVerified: Boolean(profile.email),
+        name: `${profile.name?.givenName || ''} ${profile.name?.familyName || ''}`.trim(),
+        picture: null,
+        tokens: { accessToken, refreshToken },
+      }, done)
   )
 );
 
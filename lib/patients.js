@@ -0,0 +1,28 @@
+// lib/patients.js
+// Patients belong to a user or to a clinic. A user sees their own patients
+// and those of every clinic they are a member of; imaging follows its
+// patient.
+import prisma from './prismaClient.js';
+
+/** Prisma `where` for the patients `userId` can access. */
+export function accessiblePatients(userId) {
+  return { OR: [{ ownerId: userId }, { clinic: { members: { some: { userId } } } }] };
+}
+
+export function findPatient(id, userId) {
+  return prisma.patient.findFirst({ where: { id, ...accessiblePatients(userId) } });
+}
+
+/** The caller's membership of `clinicId`, or null. */
+export function clinicMembership(clinicId, userId) {
+  return prisma.clinicMember.findUnique({ where: { clinicId_userId: { clinicId, userId } } });
+}
+
+/**
+ * Owner fields for a new patient: the clinic when `clinicId` is given (the
+ * caller must be a member), the caller otherwise. Null if not a member.
+ */
+export async function patientOwner(userId, clinicId) {
+  if (!clinicId) return { ownerId: userId, clinicId: null };
+  return (await clinicMembership(clinicId, userId)) ? { ownerId: null, clinicId } : null;
+}
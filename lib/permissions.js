@@ -0,0 +1,76 @@
+// lib/permissions.js
+// Role → permission map. Permissions are `resource:action` strings; routes
+// declare what they need via middleware/authorize.js.
+
+const USER_PERMISSIONS = [
+  'profile:read',
+  'profile:write',
+  'payments:read',
+  'payments:write',
+  'cards:read',
+  'cards:write',
+  'notifications:read',
+  'notifications:write',
+  'subscriptions:read',
+  'chat:read',
+  'chat:write',
+  'xray:read',
+  'xray:upload',
+  'xray:write',
+  'apikeys:read',
+  'apikeys:write',
+  'patients:read',
+  'patients:write',
+  'clinics:read',
+  'clinics:write',
+];
+
+const ADMIN_PERMISSIONS = [
+  ...USER_PERMISSIONS,
+  'users:read',
+  'users:create',
+  'users:write',
+  'users:delete',
+  'subscriptions:write',
+  'feedback:read',
+  'knowledge:read',
+  'knowledge:write',
+  'prompts:read',
+  'prompts:write',
+  'gate:read',
+  'gate:write',
+  'usage:read',
+];
+
+export const ROLE_PERMISSIONS = {
+  USER: new Set(USER_PERMISSIONS),
+  ADMIN: new Set(ADMIN_PERMISSIONS),
+};
+
+export function permissionsFor(role) {
+  return ROLE_PERMISSIONS[role] ?? new Set();
+}
+
+// ─── API key scopes ──────────────────────────────────────────────────────────
+// A key can never exceed its owner's role: the effective permission set is
+// the role's permissions intersected with what the key's scopes grant.
+
+export const API_KEY_SCOPES = {
+  'read-only':   (p) => p.endsWith(':read'),
+  'chat:read':   (p) => p === 'chat:read',
+  'chat:write':  (p) => p === 'chat:read' || p === 'chat:write',
+  'xray:read':   (p) => p === 'xray:read',
+  'xray:upload': (p) => p === 'xray:upload',
+  'xray:write':  (p) => p === 'xray:read' || p === 'xray:write',
+};
+
+export const API_KEY_SCOPE_NAMES = Object.keys(API_KEY_SCOPES);
+
+function scopesGrant(scopes, permission) {
+  return scopes.some(s => API_KEY_SCOPES[s]?.(permission));
+}
+
+export function hasPermission(user, permission) {
+  if (!user || !permissionsFor(user.role).has(permission)) return false;
+  return user.scopes ? scopesGrant(user.scopes, permission) : true;
+}
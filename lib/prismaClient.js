@@ -1,4 +1,9 @@
 // File: lib/prismaClient.js
 import { PrismaClient } from '@prisma/client';
-const prisma = new PrismaClient();
+
+// Never hand credentials back by default; opt in per query,
+// e.g. `omit: { passwordHash: false }`.
+const prisma = new PrismaClient({
+  omit: { user: { passwordHash: true, totpSecret: true } },
+});
 export default prisma;
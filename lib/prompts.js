@@ -0,0 +1,105 @@
+// lib/prompts.js
+// System prompts live in the PromptVersion table so wording can change
+// without a redeploy. Versions are immutable and numbered per purpose; one
+// version is active per purpose and variant (plan × locale, either may be
+// null = "any"). The most specific active variant wins. The built-ins below
+// are only used while no version is active for a purpose.
+import prisma from './prismaClient.js';
+
+export const PROMPT_PURPOSES = ['GATE', 'ASSISTANT', 'TITLE'];
+
+const LABEL_PREFIX = { GATE: 'gate', ASSISTANT: 'assist', TITLE: 'title' };
+
+// Same text and numbering as the versions seeded by the prompt_versions migration
+const BUILTIN = {
+  GATE: {
+    version: 1,
+    content: 'Only answer YES or NO. Is this conversation about clinical dentistry, dental biomaterials, or dental procedures?',
+  },
+  ASSISTANT: {
+    version: 2,
+    content:
+      'You are DentAssist AI – a professional dental assistant. Format replies with clear headings and bullet points. ' +
+      'Support clinical statements with the numbered reference material below, citing it inline as [1], [2]. ' +
+      'Only cite that material and never invent references; do not add a references list, sources are attached to your answer automatically.',
+  },
+  TITLE: {
+    version: 1,
+    content:
+      'Write a short title (at most 6 words) for a conversation that starts with the exchange below. ' +
+      'Reply with the title only, without quotes or trailing punctuation.',
+  },
+};
+
+export function promptLabel({ purpose, version }) {
+  return `${LABEL_PREFIX[purpose]}-v${version}`;
+}
+
+// Active versions per purpose, cached briefly; admin writes clear the cache
+const CACHE_MS = 30_000;
+const cache = new Map();
+
+export function invalidatePromptCache() {
+  cache.clear();
+}
+
+async function activeVersions(purpose) {
+  const hit = cache.get(purpose);
+  if (hit && hit.expires > Date.now()) return hit.rows;
+
+  const rows = await prisma.promptVersion.findMany({ where: { purpose, isActive: true } });
+  cache.set(purpose, { rows, expires: Date.now() + CACHE_MS });
+  return rows;
+}
+
+function specificity(row, plan, locale) {
+  if (row.plan && row.plan !== plan) return -1;
+  if (row.locale && row.locale !== locale) return -1;
+  return (row.plan ? 2 : 0) + (row.locale ? 1 : 0);
+}
+
+/**
+ * Picks the prompt for `purpose` → `{ id, purpose, version, label, content }`.
+ * `id` is null when the built-in default is used.
+ */
+export async function resolvePrompt(purpose, { plan = null, locale = null } = {}) {
+  let best = null;
+  let bestScore = -1;
+  for (const row of await activeVersions(purpose)) {
+    const score = specificity(row, plan, locale);
+    if (score > bestScore) [best, bestScore] = [row, score];
+  }
+
+  const chosen = best ?? { id: null, purpose, ...BUILTIN[purpose] };
+  return {
+    id: chosen.id,
+    purpose,
+    version: chosen.version,
+    label: promptLabel({ purpose, version: chosen.version }),
+    content: chosen.content,
+  };
+}
+
+/**
+ * Makes `id` the only active version of its purpose and variant.
+ * Returns the updated version.
+ */
+export async function activatePromptVersion(id) {
+  const target = await prisma.promptVersion.findUnique({ where: { id } });
+  const [, activated] = await prisma.$transaction([
+    prisma.promptVersion.updateMany({
+      where: { purpose: target.purpose, plan: target.plan, locale: target.locale, isActive: true, id: { not: id } },
+      data: { isActive: false },
+    }),
+    prisma.promptVersion.update({ where: { id }, data: { isActive: true, activatedAt: new Date() } }),
+  ]);
+  invalidatePromptCache();
+  return activated;
+}
+
+/** Adds the next version of `purpose` (inactive until activated). */
+export async function createPromptVersion({ purpose, ...data }) {
+  const { _max } = await prisma.promptVersion.aggregate({ where: { purpose }, _max: { version: true } });
+  const version = Math.max(_max.version ?? 0, BUILTIN[purpose].version) + 1;
+  return prisma.promptVersion.create({ data: { ...data, purpose, version } });
+}
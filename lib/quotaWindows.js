@@ -0,0 +1,13 @@
+// lib/quotaWindows.js
+// The UTC day and month a chat message counts against (see lib/quotas.js).
+
+/** `[day, month]`, each `{ period, start, resetsAt }` around `now`. */
+export function quotaWindows(now) {
+  const y = now.getUTCFullYear();
+  const m = now.getUTCMonth();
+  const d = now.getUTCDate();
+  return [
+    { period: 'DAY',   start: new Date(Date.UTC(y, m, d)), resetsAt: new Date(Date.UTC(y, m, d + 1)) },
+    { period: 'MONTH', start: new Date(Date.UTC(y, m, 1)), resetsAt: new Date(Date.UTC(y, m + 1, 1)) },
+  ];
+}
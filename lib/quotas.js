@@ -0,0 +1,113 @@
+// lib/quotas.js
+// Plan-aware chat quotas. Limits live here (overridable per env var, e.g.
+// QUOTA_FREE_DAILY=30); usage is tracked in UsageCounter rows per UTC
+// day/month and consumed atomically before any model call.
+import prisma from './prismaClient.js';
+import { quotaWindows } from './quotaWindows.js';
+
+function envLimit(name, fallback) {
+  const raw = process.env[name];
+  if (raw === undefined || raw === '') return fallback;
+  return raw === 'unlimited' ? null : Number(raw);
+}
+
+// `null` means unlimited for that window.
+export const PLAN_QUOTAS = {
+  FREE: {
+    DAY:   envLimit('QUOTA_FREE_DAILY', 20),
+    MONTH: envLimit('QUOTA_FREE_MONTHLY', 300),
+  },
+  PLUS: {
+    DAY:   envLimit('QUOTA_PLUS_DAILY', 300),
+    MONTH: envLimit('QUOTA_PLUS_MONTHLY', 6000),
+  },
+};
+
+/** The plan of the user's active paid subscription, else FREE. */
+export async function resolvePlan(userId) {
+  const paid = await prisma.subscription.findFirst({
+    where: { userId, status: 'ACTIVE', plan: { not: 'FREE' } },
+    select: { plan: true },
+  });
+  return paid?.plan ?? 'FREE';
+}
+
+function describe(limit, used, resetsAt) {
+  return {
+    limit,
+    used,
+    remaining: limit === null ? null : Math.max(0, limit - used),
+    resetsAt,
+  };
+}
+
+/**
+ * Current quota status: `{ plan, daily, monthly }`, each window with
+ * `{ limit, used, remaining, resetsAt }`.
+ */
+export async function getChatQuota(userId, now = new Date()) {
+  const plan = await resolvePlan(userId);
+  const limits = PLAN_QUOTAS[plan] ?? PLAN_QUOTAS.FREE;
+  const [day, month] = quotaWindows(now);
+
+  const counters = await prisma.usageCounter.findMany({
+    where: {
+      userId,
+      OR: [
+        { period: 'DAY', periodStart: day.start },
+        { period: 'MONTH', periodStart: month.start },
+      ],
+    },
+  });
+  const used = (period) => counters.find(c => c.period === period)?.count ?? 0;
+
+  return {
+    plan,
+    daily: describe(limits.DAY, used('DAY'), day.resetsAt),
+    monthly: describe(limits.MONTH, used('MONTH'), month.resetsAt),
+  };
+}
+
+class QuotaExhausted extends Error {}
+
+/**
+ * Atomically counts one chat message against every window of the user's
+ * plan. Either all windows are incremented or none is.
+ * Returns `{ allowed, quota }` with the post-consumption status.
+ */
+export async function consumeChatQuota(userId, now = new Date()) {
+  const plan = await resolvePlan(userId);
+  const limits = PLAN_QUOTAS[plan] ?? PLAN_QUOTAS.FREE;
+
+  try {
+    await prisma.$transaction(async (tx) => {
+      for (const w of quotaWindows(now)) {
+        const limit = limits[w.period];
+        if (limit === null) continue;
+        if (limit <= 0) throw new QuotaExhausted();
+
+        // Single-statement check-and-increment; no row back means the cap is hit
+        const rows = await tx.$queryRaw`
+          INSERT INTO "UsageCounter" ("userId", "period", "periodStart", "count")
+          VALUES (${userId}, ${w.period}::"QuotaPeriod", ${w.start}, 1)
+          ON CONFLICT ("userId", "period", "periodStart")
+          DO UPDATE SET "count" = "UsageCounter"."count" + 1
+          WHERE "UsageCounter"."count" < ${limit}
+          RETURNING "count"`;
+        if (rows.length === 0) throw new QuotaExhausted();
+      }
+    });
+  } catch (err) {
+    if (!(err instanceof QuotaExhausted)) throw err;
+    return { allowed: false, quota: await getChatQuota(userId, now) };
+  }
+  return { allowed: true, quota: await getChatQuota(userId, now) };
+}
+
+/** Sends the structured 429 for an exhausted quota. */
+export function sendQuotaExceeded(res, quota) {
+  const exhausted = [quota.daily, quota.monthly].filter(w => w.remaining === 0);
+  const resetsAt = exhausted.reduce((latest, w) => (w.resetsAt > latest ? w.resetsAt : latest), new Date(0));
+  res.set('Retry-After', String(Math.max(1, Math.ceil((resetsAt - Date.now()) / 1000))));
+  return res.status(429).json({ error: 'Chat quota exceeded', code: 'QUOTA_EXCEEDED', quota });
+}
@@ -0,0 +1,16 @@
+// lib/refreshTokens.js
+// What presenting a refresh token does, decided from its row alone (see
+// rotateRefresh in lib/auth.js).
+
+/**
+ * `token` is a RefreshToken row with its `session`:
+ *   'rotate'  issue the next token of the session
+ *   'reject'  the token or its session has expired or was revoked
+ *   'revoke'  the token was already rotated, so a copy leaked: the whole
+ *             session (the token family) is revoked
+ */
+export function refreshOutcome(token, now = new Date()) {
+  const { session } = token;
+  if (session.revokedAt || session.expiresAt <= now || token.expiresAt <= now) return 'reject';
+  return token.usedAt ? 'revoke' : 'rotate';
+}
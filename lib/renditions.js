@@ -0,0 +1,28 @@
+// lib/renditions.js
+// Browser-friendly copies of x-rays stored in formats browsers cannot show
+// (DICOM, TIFF): a full-size PNG preview and a small JPEG thumbnail.
+import sharp from 'sharp';
+
+export const THUMBNAIL_SIZE = Number(process.env.XRAY_THUMBNAIL_SIZE) || 256;
+
+export const RENDITIONS = {
+  preview: { mimeType: 'image/png', ext: '.png' },
+  thumbnail: { mimeType: 'image/jpeg', ext: '.jpg' },
+};
+
+/**
+ * Renders both renditions from `sharp(input, options)` arguments (an encoded
+ * image, or raw pixels from lib/dicom.js) → `{ preview, thumbnail }` Buffers.
+ */
+export async function renderRenditions({ input, options }) {
+  // Multi-page TIFFs (and multi-frame DICOM) show their first image
+  const image = sharp(input, options);
+  const [preview, thumbnail] = await Promise.all([
+    image.clone().png().toBuffer(),
+    image.clone()
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .jpeg({ quality: 80 })
+      .toBuffer(),
+  ]);
+  return { preview, thumbnail };
+}
@@ -1,5 +1,7 @@
 // lib/schemas.js
 import { z } from 'zod';
+import { SUPPORTED_LOCALES } from './i18n.js';
+import { API_KEY_SCOPE_NAMES } from './permissions.js';
 
 // ─── Input Schemas ─────────────────────────────────────────────────────────────
 
@@ -38,22 +40,119 @@ export const subscriptionCancelSchema = z.object({
   subscriptionId: z.string().min(1)
 });
 
+const localeSchema = z.enum(SUPPORTED_LOCALES);
+// Forces the answer language; 'auto' follows the prompt for this request
+const answerLanguageSchema = z.enum([...SUPPORTED_LOCALES, 'auto']);
+
 export const createUserSchema = z.object({
   name: z.string().min(1),
   email: z.string().email(),
   picture: z.string().url().optional(),
-  role: z.enum(['USER', 'ADMIN']).optional()
+  role: z.enum(['USER', 'ADMIN']).optional(),
+  locale: localeSchema.nullable().optional(),
+  // null = answer in the language of each prompt
+  answerLanguage: localeSchema.nullable().optional()
 });
 
 export const updateUserSchema = createUserSchema;
 
+const passwordSchema = z.string().min(8).max(128);
+
+export const registerSchema = z.object({
+  name: z.string().min(1),
+  email: z.string().email(),
+  password: passwordSchema
+});
+
+export const loginSchema = z.object({
+  email: z.string().email(),
+  password: z.string().min(1)
+});
+
+export const emailOnlySchema = z.object({
+  email: z.string().email()
+});
+
+export const tokenSchema = z.object({
+  token: z.string().min(1)
+});
+
+export const passwordResetSchema = z.object({
+  token: z.string().min(1),
+  password: passwordSchema
+});
+
+export const totpCodeSchema = z.object({
+  code: z.string().regex(/^\d{6}$/)
+});
+
+export const secondFactorSchema = z
+  .object({
+    code: z.string().regex(/^\d{6}$/).optional(),
+    recoveryCode: z.string().min(1).optional()
+  })
+  .refine(v => v.code || v.recoveryCode, { message: 'code or recoveryCode is required' });
+
+export const createApiKeySchema = z.object({
+  name: z.string().min(1).max(100),
+  scopes: z.array(z.enum(API_KEY_SCOPE_NAMES)).min(1),
+  expiresAt: z
+    .string()
+    .refine(s => !isNaN(Date.parse(s)) && Date.parse(s) > Date.now(), { message: 'Must be a future date' })
+    .nullable()
+    .optional()
+});
+
+// An image sent inline (base64 or a data: URL) or an x-ray previously
+// uploaded through /api/xray-upload (its imaging record id)
+export const chatAttachmentSchema = z.discriminatedUnion('type', [
+  z.object({ type: z.literal('image'), data: z.string().min(1), name: z.string().max(200).optional() }),
+  z.object({ type: z.literal('xray'), imagingId: z.number().int() })
+]);
+
+const chatAttachmentsSchema = z.array(chatAttachmentSchema).max(4);
+
+// Conversation context is rebuilt server-side from stored messages, so the
+// client only sends the new prompt (any legacy `history` field is stripped).
 export const chatRequestSchema = z.object({
   prompt: z.string().min(1),
-  history: z
-    .array(z.object({ role: z.string(), text: z.string() }))
-    .optional(),
   sessionId: z.number().optional(),
-  title: z.string().optional()
+  title: z.string().optional(),
+  stream: z.boolean().optional(),
+  // Message to follow; defaults to the leaf of the session's active branch
+  parentId: z.number().int().optional(),
+  language: answerLanguageSchema.optional(),
+  attachments: chatAttachmentsSchema.optional()
+});
+
+export const chatRegenerateSchema = z.object({
+  stream: z.boolean().optional(),
+  language: answerLanguageSchema.optional()
+});
+
+export const chatEditSchema = z.object({
+  prompt: z.string().min(1),
+  stream: z.boolean().optional(),
+  language: answerLanguageSchema.optional(),
+  // Replaces the edited prompt's attachments (kept when omitted)
+  attachments: chatAttachmentsSchema.optional()
+});
+
+export const chatAppealSchema = z.object({
+  reason: z.string().trim().max(1000).optional()
+});
+
+export const chatBranchViewSchema = z.object({
+  messageId: z.coerce.number().int().optional()
+});
+
+export const chatBranchSelectSchema = z.object({
+  messageId: z.number().int()
+});
+
+export const messageFeedbackSchema = z.object({
+  rating: z.enum(['up', 'down']),
+  comment: z.string().max(2000).nullable().optional()
 });
 
 export const chatCountSchema = z.object({
@@ -64,6 +163,193 @@ export const chatEndSchema = z.object({
   sessionId: z.number()
 });
 
+const isoDate = z.string().refine(s => !isNaN(Date.parse(s)), { message: 'Invalid date' });
+
+export const chatSearchSchema = z.object({
+  q: z.string().trim().min(1).max(200),
+  from: isoDate.optional(),
+  to: isoDate.optional(),
+  status: z.enum(['ended', 'active']).optional(),
+  page: z.coerce.number().int().min(1).default(1),
+  pageSize: z.coerce.number().int().min(1).max(50).default(20)
+});
+
+// Defaults: the last 30 days by day, or the last 12 months by month
+export const chatUsageQuerySchema = z.object({
+  period: z.enum(['day', 'month']).default('day'),
+  from: isoDate.optional(),
+  to: isoDate.optional()
+});
+
+export const knowledgeDocumentUploadSchema = z.object({
+  title: z.string().trim().min(1).max(200).optional()
+});
+
+export const knowledgeDocumentUpdateSchema = z.object({
+  title: z.string().trim().min(1).max(200).optional(),
+  enabled: z.boolean().optional()
+});
+
+export const knowledgeSearchSchema = z.object({
+  q: z.string().trim().min(1).max(500),
+  limit: z.coerce.number().int().min(1).max(20).optional()
+});
+
+const promptPurpose = z.enum(['GATE', 'ASSISTANT', 'TITLE']);
+const promptLocale = z.string().regex(/^[a-z]{2,3}$/, 'Use a language code such as "fr"');
+const promptPlan = z.enum(['FREE', 'PLUS']);
+
+export const promptVersionCreateSchema = z.object({
+  purpose: promptPurpose,
+  content: z.string().trim().min(1).max(20000),
+  plan: promptPlan.nullable().optional(),
+  locale: promptLocale.nullable().optional(),
+  note: z.string().max(500).nullable().optional(),
+  activate: z.boolean().optional()
+});
+
+export const promptVersionUpdateSchema = z.object({
+  note: z.string().max(500).nullable()
+});
+
+export const promptVersionListSchema = z.object({
+  purpose: promptPurpose.optional(),
+  plan: promptPlan.optional(),
+  locale: promptLocale.optional(),
+  active: z.enum(['true', 'false']).transform(v => v === 'true').optional()
+});
+
+export const promptResolveSchema = z.object({
+  purpose: promptPurpose,
+  plan: promptPlan.optional(),
+  locale: promptLocale.optional()
+});
+
+export const gateDecisionListSchema = z.object({
+  status: z.enum(['PENDING', 'UPHELD', 'OVERTURNED', 'ALL']).default('PENDING'),
+  allowed: z.enum(['true', 'false']).transform(v => v === 'true').optional(),
+  maxConfidence: z.coerce.number().min(0).max(1).optional(),
+  page: z.coerce.number().int().min(1).default(1),
+  pageSize: z.coerce.number().int().min(1).max(100).default(20)
+});
+
+export const gateReviewSchema = z.object({
+  outcome: z.enum(['UPHELD', 'OVERTURNED']),
+  note: z.string().trim().max(1000).optional(),
+  // Also store the prompt as a gate example with the corrected verdict
+  addExample: z.boolean().optional()
+});
+
+export const gateExampleCreateSchema = z.object({
+  text: z.string().trim().min(1).max(2000),
+  allowed: z.boolean(),
+  note: z.string().trim().max(500).optional()
+});
+
+export const gateExampleUpdateSchema = z.object({
+  enabled: z.boolean().optional(),
+  note: z.string().trim().max(500).nullable().optional()
+});
+
+export const adminFeedbackQuerySchema = z.object({
+  from: isoDate.optional(),
+  to: isoDate.optional()
+});
+
+export const adminUsageQuerySchema = z.object({
+  from: isoDate.optional(),
+  to: isoDate.optional(),
+  // Most expensive users listed in `byUser`
+  limit: z.coerce.number().int().min(1).max(500).default(100)
+});
+
+export const chatExportSchema = z.object({
+  format: z.enum(['md', 'json', 'pdf']).default('md')
+});
+
+export const chatShareCreateSchema = z.object({
+  expiresAt: z
+    .string()
+    .refine(s => !isNaN(Date.parse(s)) && Date.parse(s) > Date.now(), { message: 'Must be a future date' })
+    .nullable()
+    .optional()
+});
+
+// ─── Patients & imaging ──────────────────────────────────────────────────────
+
+const chartNumberSchema = z.string().trim().min(1).max(64);
+// YYYY-MM-DD of a real calendar day
+const birthDateSchema = z.string().regex(/^\d{4}-\d{2}-\d{2}$/)
+  .refine(s => !isNaN(Date.parse(s)) && new Date(s).toISOString().startsWith(s), { message: 'Invalid date' });
+
+export const patientCreateSchema = z.object({
+  name: z.string().trim().min(1).max(200),
+  chartNumber: chartNumberSchema.optional(),
+  dateOfBirth: birthDateSchema.optional(),
+  notes: z.string().trim().max(5000).optional(),
+  // Create the patient for this clinic instead of for the caller
+  clinicId: z.number().int().optional()
+});
+
+export const patientUpdateSchema = z.object({
+  name: z.string().trim().min(1).max(200).optional(),
+  chartNumber: chartNumberSchema.nullable().optional(),
+  dateOfBirth: birthDateSchema.nullable().optional(),
+  notes: z.string().trim().max(5000).nullable().optional()
+});
+
+export const patientListSchema = z.object({
+  // Matches name or chart number
+  q: z.string().trim().min(1).max(200).optional(),
+  chartNumber: chartNumberSchema.optional(),
+  clinicId: z.coerce.number().int().optional(),
+  page: z.coerce.number().int().min(1).default(1),
+  pageSize: z.coerce.number().int().min(1).max(100).default(20)
+});
+
+export const imagingTagSchema = z.enum(['BITEWING', 'PERIAPICAL', 'PANORAMIC', 'CBCT_SLICE']);
+
+// Multipart fields of /api/xray-upload (sent before the file). patientId or
+// chartNumber picks the patient; a bare `name` (legacy clients) picks or
+// creates the caller's own patient of that name.
+export const xrayUploadSchema = z.object({
+  patientId: z.coerce.number().int().positive().optional(),
+  chartNumber: chartNumberSchema.optional(),
+  name: z.string().trim().min(1).max(200).optional(),
+  tag: imagingTagSchema.optional(),
+  // Blank PHI tags in DICOM files before storage; default DICOM_ANONYMIZE
+  anonymize: z.enum(['true', 'false']).transform(v => v === 'true').optional()
+}).refine(f => f.patientId || f.chartNumber || f.name, { message: 'Missing patient' });
+
+// The caller's imaging library, newest first; from/to bound the upload date
+export const imagingListSchema = z.object({
+  patientId: z.coerce.number().int().positive().optional(),
+  tag: imagingTagSchema.optional(),
+  from: isoDate.optional(),
+  to: isoDate.optional(),
+  page: z.coerce.number().int().min(1).default(1),
+  pageSize: z.coerce.number().int().min(1).max(100).default(20)
+});
+
+export const imagingDownloadSchema = z.object({
+  rendition: z.enum(['original', 'preview', 'thumbnail']).default('original')
+});
+
+// `tag: null` clears the tag
+export const imagingUpdateSchema = z.object({
+  name: z.string().trim().min(1).max(200).optional(),
+  tag: imagingTagSchema.nullable().optional()
+}).refine(f => f.name !== undefined || f.tag !== undefined, { message: 'Nothing to update' });
+
+export const clinicCreateSchema = z.object({
+  name: z.string().trim().min(1).max(200)
+});
+
+export const clinicMemberSchema = z.object({
+  email: z.string().email(),
+  role: z.enum(['OWNER', 'MEMBER']).default('MEMBER')
+});
+
 // ─── Response Payload Schemas ──────────────────────────────────────────────────
 
 export const cardResponseSchema = z.object({
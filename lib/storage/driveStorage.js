@@ -0,0 +1,81 @@
+// lib/storage/driveStorage.js
+// Google Drive: one subfolder of `parentFolderId` per folder name, created
+// on demand. Keys are Drive file ids and metadata is kept in appProperties.
+import { google } from 'googleapis';
+
+const SCOPES = ['https://www.googleapis.com/auth/drive'];
+const FOLDER_TYPE = 'application/vnd.google-apps.folder';
+
+// String literal for a Drive search query: backslashes and quotes escaped
+function quote(value) {
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+export function createDriveStorage({ credentials, parentFolderId, client }) {
+  const drive = client ?? google.drive({
+    version: 'v3',
+    auth: new google.auth.GoogleAuth({ credentials, scopes: SCOPES }),
+  });
+
+  async function getOrCreateFolder(name) {
+    const q = [
+      `${quote(parentFolderId)} in parents`,
+      `mimeType = ${quote(FOLDER_TYPE)}`,
+      `name = ${quote(name)}`,
+      'trashed = false',
+    ].join(' and ');
+    const res = await drive.files.list({ q, fields: 'files(id,name)' });
+    if (res.data.files.length > 0) return res.data.files[0].id;
+
+    const createRes = await drive.files.create({
+      resource: { name, mimeType: FOLDER_TYPE, parents: [parentFolderId] },
+      fields: 'id',
+    });
+    if (!createRes.data.id) throw new Error('Folder creation failed: ID is missing');
+    return createRes.data.id;
+  }
+
+  const notFound = (err) => err.code === 404 || err.response?.status === 404;
+
+  return {
+    name: 'drive',
+
+    async put({ folder, name, contentType, body, metadata = {} }) {
+      const folderId = await getOrCreateFolder(folder);
+      const res = await drive.files.create({
+        resource: { name, parents: [folderId], appProperties: metadata },
+        media: { mimeType: contentType, body },
+        fields: 'id,size',
+      });
+      return { key: res.data.id, size: Number(res.data.size) };
+    },
+
+    async get(key) {
+      let meta;
+      try {
+        ({ data: meta } = await drive.files.get({ fileId: key, fields: 'id,name,mimeType,size,appProperties,trashed' }));
+      } catch (err) {
+        if (notFound(err)) return null;
+        throw err;
+      }
+      if (meta.trashed) return null;
+
+      const { data: body } = await drive.files.get({ fileId: key, alt: 'media' }, { responseType: 'stream' });
+      return {
+        body,
+        name: meta.name,
+        contentType: meta.mimeType,
+        size: Number(meta.size),
+        metadata: meta.appProperties ?? {},
+      };
+    },
+
+    async delete(key) {
+      try {
+        await drive.files.delete({ fileId: key });
+      } catch (err) {
+        if (!notFound(err)) throw err;
+      }
+    },
+  };
+}
@@ -0,0 +1,76 @@
+// lib/storage/index.js
+// Object storage for x-ray uploads. XRAY_STORAGE picks the backend:
+//   local  files under STORAGE_LOCAL_DIR (default ./storage)
+//   s3     any S3-compatible service: S3_BUCKET, S3_REGION, S3_ENDPOINT,
+//          S3_FORCE_PATH_STYLE, S3_PREFIX; credentials from the AWS chain
+//   drive  Google Drive: GOOGLE_SERVICE_ACCOUNT_KEY, GOOGLE_DRIVE_FOLDER_ID
+//          (defaults to the folder uploads used before it was configurable)
+// The default is `drive` when GOOGLE_SERVICE_ACCOUNT_KEY is set (existing
+// deployments), `local` otherwise. Backends are created on first use, so a
+// misconfigured one only fails the requests that need it.
+//
+// Every backend implements:
+//   put({ folder, name, contentType, body, metadata }) → { key, size }
+//       streams `body` into `folder`; `key` is opaque and backend-specific
+//   get(key) → { body, name, contentType, size, metadata } | null
+//       `body` is a readable stream; null when the object does not exist
+//   delete(key) → removes the object; missing objects are ignored
+// and optionally:
+//   signedUrl(key, { expiresIn, contentType, disposition }) → url
+//       a URL that downloads the object without credentials for `expiresIn`
+//       seconds; backends without it are served through the API
+// `metadata` is a flat string → string map with lowercase keys (S3 lowercases them).
+import { createLocalStorage } from './localStorage.js';
+import { createS3Storage } from './s3Storage.js';
+import { createDriveStorage } from './driveStorage.js';
+
+const LEGACY_DRIVE_FOLDER_ID = '1gWSW6J74GyjcSb4qptVg1AEcIWCwu0Ym';
+
+const factories = {
+  local: () => createLocalStorage({ root: process.env.STORAGE_LOCAL_DIR || 'storage' }),
+  s3: () => {
+    if (!process.env.S3_BUCKET) throw new Error('S3_BUCKET not set');
+    return createS3Storage({
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION,
+      endpoint: process.env.S3_ENDPOINT,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      prefix: process.env.S3_PREFIX,
+    });
+  },
+  drive: () => {
+    if (!process.env.GOOGLE_SERVICE_ACCOUNT_KEY) throw new Error('GOOGLE_SERVICE_ACCOUNT_KEY not set');
+    return createDriveStorage({
+      credentials: JSON.parse(process.env.GOOGLE_SERVICE_ACCOUNT_KEY),
+      parentFolderId: process.env.GOOGLE_DRIVE_FOLDER_ID || LEGACY_DRIVE_FOLDER_ID,
+    });
+  },
+};
+
+const instances = new Map();
+
+export function registerStorage(name, factory) {
+  factories[name] = factory;
+  instances.delete(name);
+}
+
+export function getStorage(name) {
+  if (!instances.has(name)) {
+    const factory = factories[name];
+    if (!factory) throw new Error(`Unknown storage backend "${name}"`);
+    instances.set(name, factory());
+  }
+  return instances.get(name);
+}
+
+/** The configured x-ray storage backend. */
+export function xrayStorage() {
+  return getStorage(process.env.XRAY_STORAGE || (process.env.GOOGLE_SERVICE_ACCOUNT_KEY ? 'drive' : 'local'));
+}
+
+/** Reads a stream to the end → Buffer. */
+export async function readAll(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
@@ -0,0 +1,62 @@
+// lib/storage/localStorage.js
+// Stores objects as files under `root`, each with a `<file>.meta.json`
+// sidecar. Keys are `<folder>/<uuid><ext>` paths relative to `root`.
+import { randomUUID } from 'crypto';
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+
+const KEY_PATTERN = /^[a-z0-9-]+\/[0-9a-f-]{36}(\.[a-z0-9]{1,10})?$/;
+
+export function createLocalStorage({ root }) {
+  const base = path.resolve(root);
+
+  // Keys come back from clients, so only the shape put() produces is accepted
+  function fileFor(key) {
+    return KEY_PATTERN.test(key) ? path.join(base, key) : null;
+  }
+
+  return {
+    name: 'local',
+
+    async put({ folder, name, contentType, body, metadata = {} }) {
+      const ext = path.extname(name ?? '').toLowerCase();
+      const key = `${folder}/${randomUUID()}${/^\.[a-z0-9]{1,10}$/.test(ext) ? ext : ''}`;
+      const file = path.join(base, key);
+      await fsp.mkdir(path.dirname(file), { recursive: true });
+
+      const partial = `${file}.part`;
+      try {
+        await pipeline(body, fs.createWriteStream(partial));
+        await fsp.rename(partial, file);
+      } catch (err) {
+        await fsp.rm(partial, { force: true });
+        throw err;
+      }
+      const { size } = await fsp.stat(file);
+      await fsp.writeFile(`${file}.meta.json`, JSON.stringify({ name, contentType, size, metadata }));
+      return { key, size };
+    },
+
+    async get(key) {
+      const file = fileFor(key);
+      if (!file) return null;
+      let meta;
+      try {
+        meta = JSON.parse(await fsp.readFile(`${file}.meta.json`, 'utf8'));
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+      return { ...meta, body: fs.createReadStream(file) };
+    },
+
+    async delete(key) {
+      const file = fileFor(key);
+      if (!file) return;
+      await fsp.rm(file, { force: true });
+      await fsp.rm(`${file}.meta.json`, { force: true });
+    },
+  };
+}
@@ -0,0 +1,76 @@
+// lib/storage/s3Storage.js
+// Amazon S3 or any S3-compatible service (MinIO, R2, Spaces…; set
+// `endpoint` and usually `forcePathStyle`). Keys are
+// `<prefix><folder>/<uuid><ext>`; uploads are streamed as multipart uploads.
+import { randomUUID } from 'crypto';
+import path from 'path';
+import { Transform } from 'stream';
+import { S3Client, GetObjectCommand, DeleteObjectCommand } from '@aws-sdk/client-s3';
+import { Upload } from '@aws-sdk/lib-storage';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+
+// Object metadata travels in HTTP headers, so values must be ASCII
+const encode = (meta) => Object.fromEntries(Object.entries(meta).map(([k, v]) => [k, encodeURIComponent(v)]));
+const decode = (meta = {}) => Object.fromEntries(Object.entries(meta).map(([k, v]) => [k, decodeURIComponent(v)]));
+
+export function createS3Storage({ bucket, region, endpoint, forcePathStyle = false, prefix = '', client }) {
+  const s3 = client ?? new S3Client({
+    region: region || 'us-east-1',
+    ...(endpoint ? { endpoint } : {}),
+    forcePathStyle,
+  });
+
+  return {
+    name: 's3',
+
+    async put({ folder, name, contentType, body, metadata = {} }) {
+      const ext = path.extname(name ?? '').toLowerCase();
+      const key = `${prefix}${folder}/${randomUUID()}${/^\.[a-z0-9]{1,10}$/.test(ext) ? ext : ''}`;
+
+      let size = 0;
+      const counted = body.pipe(new Transform({
+        transform(chunk, encoding, callback) {
+          size += chunk.length;
+          callback(null, chunk);
+        },
+      }));
+      body.on('error', (err) => counted.destroy(err));
+
+      await new Upload({
+        client: s3,
+        params: {
+          Bucket: bucket,
+          Key: key,
+          Body: counted,
+          ContentType: contentType,
+          Metadata: encode({ ...metadata, name: name ?? '' }),
+        },
+      }).done();
+      return { key, size };
+    },
+
+    async get(key) {
+      try {
+        const res = await s3.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+        const { name, ...metadata } = decode(res.Metadata);
+        return { body: res.Body, name: name || null, contentType: res.ContentType, size: res.ContentLength, metadata };
+      } catch (err) {
+        if (err.name === 'NoSuchKey' || err.$metadata?.httpStatusCode === 404) return null;
+        throw err;
+      }
+    },
+
+    async delete(key) {
+      await s3.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    signedUrl(key, { expiresIn, contentType, disposition }) {
+      return getSignedUrl(s3, new GetObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        ResponseContentType: contentType,
+        ResponseContentDisposition: disposition,
+      }), { expiresIn });
+    },
+  };
+}
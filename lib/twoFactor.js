@@ -0,0 +1,75 @@
+// lib/twoFactor.js
+import crypto from 'crypto';
+import prisma from './prismaClient.js';
+import { hashToken } from './auth.js';
+import { verifyTotp, openSecret } from './totp.js';
+
+const RECOVERY_CODE_COUNT = 10;
+
+function normalizeRecoveryCode(code) {
+  return String(code).toLowerCase().replace(/[^a-f0-9]/g, '');
+}
+
+/**
+ * Replaces the user's recovery codes with a fresh set and returns the
+ * plaintext codes (shown to the user exactly once).
+ */
+export async function regenerateRecoveryCodes(userId) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+  await prisma.$transaction([
+    prisma.recoveryCode.deleteMany({ where: { userId } }),
+    prisma.recoveryCode.createMany({
+      data: codes.map(c => ({ userId, codeHash: hashToken(normalizeRecoveryCode(c)) })),
+    }),
+  ]);
+  return codes;
+}
+
+/**
+ * Checks a TOTP code against the user's secret. A code is accepted at most
+ * once: its time step must be newer than the last one used.
+ */
+export async function verifyUserTotp(userId, code, sealedSecret) {
+  let secret = sealedSecret;
+  if (!secret) {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { totpSecret: true },
+    });
+    secret = user?.totpSecret;
+  }
+  if (!secret) return false;
+
+  const step = verifyTotp(openSecret(secret), code);
+  if (step === null) return false;
+
+  const { count } = await prisma.user.updateMany({
+    where: {
+      id: userId,
+      OR: [{ totpLastStep: null }, { totpLastStep: { lt: step } }],
+    },
+    data: { totpLastStep: step },
+  });
+  return count === 1;
+}
+
+export async function consumeRecoveryCode(userId, code) {
+  const { count } = await prisma.recoveryCode.updateMany({
+    where: { userId, usedAt: null, codeHash: hashToken(normalizeRecoveryCode(code)) },
+    data: { usedAt: new Date() },
+  });
+  return count === 1;
+}
+
+/**
+ * Verifies either `code` (TOTP) or `recoveryCode` for an enrolled user.
+ */
+export async function verifySecondFactor(userId, { code, recoveryCode }) {
+  if (code) return verifyUserTotp(userId, code);
+  if (recoveryCode) return consumeRecoveryCode(userId, recoveryCode);
+  return false;
+}
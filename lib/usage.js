@@ -0,0 +1,166 @@
+// lib/usage.js
+// Token usage, latency and estimated cost of the model calls behind each
+// message: the gate call on the USER prompt and the answer call on the BOT
+// reply. Rows keep the user and plan of the time, and survive account
+// deletion (anonymised) so cost reports stay complete.
+import prisma from './prismaClient.js';
+import { estimateTokens } from './chatContext.js';
+import { rangeEnd } from './normalize.js';
+
+// USD per million tokens as [input, output], matched by longest model-name
+// prefix (so dated snapshots like gpt-4o-2024-08-06 are covered).
+// LLM_PRICES='{"my-model":[1,2]}' adds or overrides entries.
+const DEFAULT_PRICES = {
+  'gpt-4o': [2.5, 10],
+  'gpt-4o-mini': [0.15, 0.6],
+  'gpt-4.1': [2, 8],
+  'gpt-4.1-mini': [0.4, 1.6],
+  'gpt-4.1-nano': [0.1, 0.4],
+  'gpt-4-turbo': [10, 30],
+  'gpt-3.5-turbo': [0.5, 1.5],
+  'o4-mini': [1.1, 4.4],
+  fake: [0, 0],
+};
+
+// A malformed override must not keep the server from starting
+function priceOverrides() {
+  try {
+    const prices = JSON.parse(process.env.LLM_PRICES || '{}');
+    if (prices && typeof prices === 'object' && !Array.isArray(prices)) return prices;
+    console.warn('LLM_PRICES must be a JSON object; using default prices');
+  } catch (err) {
+    console.warn(`LLM_PRICES is not valid JSON (${err.message}); using default prices`);
+  }
+  return {};
+}
+
+const PRICES = { ...DEFAULT_PRICES, ...priceOverrides() };
+
+function priceFor(model) {
+  if (!model) return null;
+  const key = Object.keys(PRICES)
+    .filter(k => model.startsWith(k))
+    .sort((a, b) => b.length - a.length)[0];
+  return key ? PRICES[key] : null;
+}
+
+/** Estimated USD cost of a call, or null when the model has no price. */
+export function estimateCost(model, promptTokens, completionTokens) {
+  const price = priceFor(model);
+  if (!price) return null;
+  const usd = (promptTokens * price[0] + completionTokens * price[1]) / 1e6;
+  return Math.round(usd * 1e6) / 1e6;
+}
+
+function textOf(content) {
+  return typeof content === 'string' ? content : content.filter(p => p.type === 'text').map(p => p.text).join('\n');
+}
+
+// Provider-reported counts (OpenAI `usage` shape), or an estimate from the
+// text when there are none, e.g. for an aborted stream
+function tokenCounts(usage, messages, output) {
+  if (usage?.prompt_tokens != null) {
+    return { promptTokens: usage.prompt_tokens, completionTokens: usage.completion_tokens ?? 0, estimated: false };
+  }
+  return {
+    promptTokens: messages.reduce((n, m) => n + estimateTokens(textOf(m.content)), 0),
+    completionTokens: estimateTokens(output),
+    estimated: true,
+  };
+}
+
+/**
+ * Stores the usage of one call. `messages`/`output` are only used to
+ * estimate tokens when `usage` is missing. Accounting never fails a chat
+ * request: errors are logged.
+ */
+export async function recordUsage({
+  messageId, userId, plan, purpose, provider, model, usage, messages, output = '', latencyMs
+}) {
+  try {
+    const counts = tokenCounts(usage, messages, output);
+    await prisma.messageUsage.create({
+      data: {
+        messageId,
+        userId,
+        plan,
+        purpose,
+        provider: provider ?? null,
+        model: model ?? null,
+        ...counts,
+        latencyMs: Math.round(latencyMs),
+        costUsd: estimateCost(model, counts.promptTokens, counts.completionTokens),
+      },
+    });
+  } catch (err) {
+    console.error('Recording usage failed', err);
+  }
+}
+
+// ─── Reports ─────────────────────────────────────────────────────────────────
+
+function periodStart(date, period) {
+  return period === 'month'
+    ? new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1))
+    : new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+function nextPeriod(date, period) {
+  return period === 'month'
+    ? new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1))
+    : new Date(date.getTime() + 86_400_000);
+}
+
+// The first of the last `count` periods up to `date`
+function periodsBack(date, period, count) {
+  return period === 'month'
+    ? new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() - (count - 1), 1))
+    : new Date(periodStart(date, 'day').getTime() - (count - 1) * 86_400_000);
+}
+
+const DEFAULT_PERIODS = { day: 30, month: 12 };
+const MAX_PERIODS = { day: 366, month: 120 };
+
+const emptyTotals = () => ({ prompts: 0, answers: 0, promptTokens: 0, completionTokens: 0, costUsd: 0 });
+
+/**
+ * A user's usage per UTC day or month between `from` and `to` (defaults:
+ * the last 30 days / 12 months; at most 366 days / 120 months), with empty
+ * periods included → `{ period, from, to, buckets: [{ start, …totals }], totals }`.
+ * A date-only `to` includes that whole day; the returned `to` is the last
+ * instant covered.
+ */
+export async function usageSummary(userId, { period, from, to }, now = new Date()) {
+  const until = to ? rangeEnd(to) : new Date(now.getTime() + 1);
+  const end = new Date(until.getTime() - 1);
+  const earliest = periodsBack(end, period, MAX_PERIODS[period]);
+  const requested = from ? periodStart(new Date(from), period) : periodsBack(end, period, DEFAULT_PERIODS[period]);
+  const start = requested < earliest ? earliest : requested;
+
+  const rows = await prisma.$queryRaw`
+    SELECT
+      date_trunc(${period}, u."createdAt")                    AS "start",
+      count(*) FILTER (WHERE u.purpose = 'GATE')::int         AS "prompts",
+      count(*) FILTER (WHERE u.purpose = 'ANSWER')::int       AS "answers",
+      sum(u."promptTokens")::float8                           AS "promptTokens",
+      sum(u."completionTokens")::float8                       AS "completionTokens",
+      coalesce(sum(u."costUsd"), 0)::float8                   AS "costUsd"
+    FROM "MessageUsage" u
+    WHERE u."userId" = ${userId} AND u."createdAt" >= ${start} AND u."createdAt" < ${until}
+    GROUP BY 1`;
+  const byStart = new Map(rows.map(r => [r.start.getTime(), r]));
+
+  const buckets = [];
+  const totals = emptyTotals();
+  for (let t = start; t <= end; t = nextPeriod(t, period)) {
+    const row = byStart.get(t.getTime()) ?? emptyTotals();
+    const bucket = { start: t };
+    for (const key of Object.keys(totals)) {
+      bucket[key] = row[key];
+      totals[key] += row[key];
+    }
+    buckets.push(bucket);
+  }
+  totals.costUsd = Math.round(totals.costUsd * 1e6) / 1e6;
+  return { period, from: start, to: end, buckets, totals };
+}
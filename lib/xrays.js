@@ -0,0 +1,299 @@
+// lib/xrays.js
+// X-ray uploads on the configured storage backend (lib/storage). Uploads
+// are streamed from the request straight to the backend, filed under their
+// patient, and recorded as Imaging rows with a checksum of the bytes. The
+// file type is sniffed from the bytes. DICOM and TIFF files are read whole
+// instead: DICOM tags are recorded (and PHI optionally blanked before
+// storage), and both get a PNG preview and JPEG thumbnail (lib/renditions.js).
+import crypto from 'crypto';
+import path from 'path';
+import { Readable, Transform } from 'stream';
+import jwt from 'jsonwebtoken';
+
+import prisma from './prismaClient.js';
+import { JWT_SECRET } from './config.js';
+import { getStorage, xrayStorage, readAll } from './storage/index.js';
+import { accessiblePatients, findPatient } from './patients.js';
+import { DICOM_MIME_TYPE, SNIFF_BYTES, sniffXrayType } from './fileTypes.js';
+import { parseDicom, dicomMetadata, dicomImage, anonymizeDicom } from './dicom.js';
+import { RENDITIONS, renderRenditions } from './renditions.js';
+import { xrayUploadSchema } from './schemas.js';
+
+export const XRAY_MAX_BYTES = Number(process.env.XRAY_MAX_BYTES) || 50 * 1024 * 1024;
+// Lifetime of download URLs, in seconds
+export const XRAY_URL_TTL = Number(process.env.XRAY_URL_TTL) || 300;
+// Default for the upload's `anonymize` field
+const DICOM_ANONYMIZE = process.env.DICOM_ANONYMIZE === 'true';
+
+// Formats browsers cannot show
+const NEEDS_RENDITIONS = new Set([DICOM_MIME_TYPE, 'image/tiff']);
+
+/** Rejected upload; the message is safe to return to the client. */
+export class XrayUploadError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Legacy clients only send a patient name: use the caller's own patient of
+// that name, created on first upload
+async function patientByName(name, userId) {
+  const matches = await prisma.patient.findMany({
+    where: { ownerId: userId, name: { equals: name, mode: 'insensitive' } },
+    take: 2,
+  });
+  if (matches.length > 1) throw new XrayUploadError('Several patients have this name; send patientId', 409);
+  return matches[0] ?? prisma.patient.create({ data: { name, ownerId: userId, createdById: userId } });
+}
+
+async function resolvePatient({ patientId, chartNumber, name }, userId) {
+  if (patientId) return findPatient(patientId, userId);
+  if (chartNumber) {
+    // Chart numbers are unique per owner, so the caller's clinics may clash
+    const matches = await prisma.patient.findMany({ where: { chartNumber, ...accessiblePatients(userId) }, take: 2 });
+    if (matches.length > 1) throw new XrayUploadError('Several patients have this chart number; send patientId', 409);
+    return matches[0] ?? null;
+  }
+  return patientByName(name, userId);
+}
+
+function checksumOf(stream, hash) {
+  const hashed = stream.pipe(new Transform({
+    transform(chunk, encoding, callback) {
+      hash.update(chunk);
+      callback(null, chunk);
+    },
+  }));
+  stream.on('error', (err) => hashed.destroy(err));
+  return hashed;
+}
+
+// Reads the first `size` bytes → `{ head, body }`; `body` replays the whole
+// stream, head included
+async function peek(stream, size) {
+  const iterator = stream[Symbol.asyncIterator]();
+  const chunks = [];
+  let length = 0;
+  for (let next; length < size && !(next = await iterator.next()).done;) {
+    chunks.push(next.value);
+    length += next.value.length;
+  }
+  const head = Buffer.concat(chunks);
+  async function* replay() {
+    yield head;
+    for (let next = await iterator.next(); !next.done; next = await iterator.next()) yield next.value;
+  }
+  return { head, body: Readable.from(replay(), { objectMode: false }) };
+}
+
+async function renditionsOf(image) {
+  try {
+    return await renderRenditions(image);
+  } catch (err) {
+    // The original is still worth keeping
+    console.warn('X-ray rendition failed:', err.message);
+    return null;
+  }
+}
+
+// → `{ data, record, renditions }`: the bytes to store, extra Imaging fields
+// and the rendered previews (null when the image cannot be decoded)
+async function prepareForRenditions(data, mimeType, anonymize) {
+  if (mimeType !== DICOM_MIME_TYPE) return { data, record: {}, renditions: await renditionsOf({ input: data }) };
+
+  const dataSet = parseDicom(data);
+  if (!dataSet) throw new XrayUploadError('Invalid DICOM file');
+  // Read before anonymizing, so the record keeps the DICOM patient ID for
+  // matching against the chart
+  const record = { ...dicomMetadata(dataSet), anonymized: anonymize };
+  const image = dicomImage(dataSet);
+  // Edits `data` in place; the pixel data is not touched
+  if (anonymize) anonymizeDicom(dataSet);
+  return { data, record, renditions: image && await renditionsOf(image) };
+}
+
+async function storeUpload(req, file) {
+  // The file is streamed as it arrives, so the patient fields must precede
+  // it in the form (or be given in the query string)
+  const fields = xrayUploadSchema.parse({ ...req.query, ...req.body });
+  const patient = await resolvePatient(fields, req.user.id);
+  if (!patient) throw new XrayUploadError('Patient not found', 404);
+
+  const { head, body } = await peek(file.stream, SNIFF_BYTES);
+  const mimeType = sniffXrayType(head);
+  if (!mimeType) throw new XrayUploadError('Unsupported file type', 415);
+
+  let upload = { data: null, record: {}, renditions: null };
+  if (NEEDS_RENDITIONS.has(mimeType)) {
+    upload = await prepareForRenditions(await readAll(body), mimeType, fields.anonymize ?? DICOM_ANONYMIZE);
+  }
+
+  const backend = xrayStorage();
+  const folder = `patient-${patient.id}`;
+  const metadata = { uploader: String(req.user.id), patient: String(patient.id) };
+  const stored = [];
+  const put = async (object) => {
+    const result = await backend.put({ folder, metadata, ...object });
+    stored.push(result.key);
+    return result;
+  };
+
+  try {
+    const hash = crypto.createHash('sha256');
+    const { key, size } = await put({
+      name: file.originalname,
+      contentType: mimeType,
+      body: checksumOf(upload.data ? Readable.from([upload.data]) : body, hash),
+    });
+
+    const renditionKeys = {};
+    for (const [rendition, data] of Object.entries(upload.renditions ?? {})) {
+      const { mimeType: contentType, ext } = RENDITIONS[rendition];
+      const name = `${path.parse(file.originalname).name}-${rendition}${ext}`;
+      renditionKeys[`${rendition}Key`] = (await put({ name, contentType, body: Readable.from([data]) })).key;
+    }
+
+    const imaging = await prisma.imaging.create({
+      data: {
+        ...upload.record,
+        ...renditionKeys,
+        patientId: patient.id,
+        storage: backend.name,
+        storageKey: key,
+        mimeType,
+        size,
+        checksum: hash.digest('hex'),
+        originalName: file.originalname,
+        name: file.originalname,
+        tag: fields.tag,
+        uploadedById: req.user.id,
+      },
+    });
+    return { imaging, patient };
+  } catch (err) {
+    await Promise.all(stored.map(key => backend.delete(key)));
+    throw err;
+  }
+}
+
+/** Multer storage engine: `req.file` gets `{ imaging, patient }`. */
+export const xrayUploadStorage = {
+  _handleFile(req, file, cb) {
+    storeUpload(req, file).then(info => cb(null, info), cb);
+  },
+  _removeFile(req, file, cb) {
+    // Nothing was recorded when storeUpload itself failed
+    if (!file.imaging) return cb(null);
+    deleteImaging(file.imaging).then(() => cb(null), cb);
+  },
+};
+
+/** An imaging record the caller can access through its patient, or null. */
+export function findImaging(id, userId) {
+  return prisma.imaging.findFirst({ where: { id, patient: accessiblePatients(userId) } });
+}
+
+/**
+ * Where a rendition (original | preview | thumbnail) of an imaging record is
+ * stored → `{ key, mimeType, name }`. Images without renditions are viewable
+ * as they are, so their original stands in for all three.
+ */
+export function imagingRendition(imaging, rendition = 'original') {
+  const key = { preview: imaging.previewKey, thumbnail: imaging.thumbnailKey }[rendition];
+  const name = imaging.name ?? `imaging-${imaging.id}`;
+  if (!key) return { key: imaging.storageKey, mimeType: imaging.mimeType, name };
+  const { mimeType, ext } = RENDITIONS[rendition];
+  return { key, mimeType, name: `${path.parse(name).name}${ext}` };
+}
+
+/** A stored object of an imaging record (see lib/storage), or null if it is gone. */
+export function openImaging(imaging, rendition) {
+  return getStorage(imaging.storage).get(imagingRendition(imaging, rendition).key);
+}
+
+/** The stored bytes of an imaging record, or null if the object is gone. */
+export async function readImaging(imaging, rendition) {
+  const object = await openImaging(imaging, rendition);
+  return object && readAll(object.body);
+}
+
+/** Content-Disposition that shows the file inline under `name`. */
+export function inlineDisposition(name) {
+  const fallback = name.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  const encoded = encodeURIComponent(name).replace(/['()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `inline; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+/**
+ * A short-lived download URL → `{ url, expiresAt }`. Backends that sign URLs
+ * themselves (S3) serve the bytes directly; for the others the URL carries a
+ * signed token for GET /api/imaging/files/:token, which streams the object.
+ */
+export async function imagingDownloadUrl(imaging, baseUrl, rendition) {
+  const expiresAt = new Date(Date.now() + XRAY_URL_TTL * 1000);
+  const backend = getStorage(imaging.storage);
+  const { key, mimeType, name } = imagingRendition(imaging, rendition);
+  if (backend.signedUrl) {
+    const url = await backend.signedUrl(key, {
+      expiresIn: XRAY_URL_TTL,
+      contentType: mimeType,
+      disposition: inlineDisposition(name),
+    });
+    return { url, expiresAt };
+  }
+
+  // Bound to the storage key, so the token dies with the object
+  const token = jwt.sign(
+    { imagingId: imaging.id, key, rendition, purpose: 'imaging-download' },
+    JWT_SECRET,
+    { expiresIn: XRAY_URL_TTL }
+  );
+  return { url: `${baseUrl}/api/imaging/files/${token}`, expiresAt };
+}
+
+/**
+ * What a download token was issued for → `{ imaging, rendition }`, or null
+ * if the token is invalid or expired.
+ */
+export async function imagingForDownloadToken(token) {
+  let payload;
+  try {
+    payload = jwt.verify(token, JWT_SECRET);
+  } catch {
+    return null;
+  }
+  if (payload.purpose !== 'imaging-download') return null;
+  const imaging = await prisma.imaging.findUnique({ where: { id: payload.imagingId } });
+  if (!imaging || imagingRendition(imaging, payload.rendition).key !== payload.key) return null;
+  return { imaging, rendition: payload.rendition };
+}
+
+/**
+ * Removes the stored objects (original and renditions), then the record. A
+ * failed object delete leaves the record in place, so the delete can be
+ * retried.
+ */
+export async function deleteImaging(imaging) {
+  const backend = getStorage(imaging.storage);
+  for (const key of [imaging.storageKey, imaging.previewKey, imaging.thumbnailKey]) {
+    if (key) await backend.delete(key);
+  }
+  await prisma.imaging.delete({ where: { id: imaging.id } });
+}
+
+/**
+ * Downloads an upload from before imaging records by storage key →
+ * `{ name, mimeType, size, data }`, or null when it does not exist or
+ * belongs to someone else.
+ */
+export async function readXray(key, uploaderId) {
+  const object = await xrayStorage().get(key);
+  if (!object) return null;
+  if (object.metadata.uploader !== String(uploaderId)) {
+    object.body.destroy?.();
+    return null;
+  }
+  const data = await readAll(object.body);
+  return { name: object.name, mimeType: object.contentType, size: data.length, data };
+}
@@ -0,0 +1,45 @@
+// middleware/authorize.js
+import { hasPermission } from '../lib/permissions.js';
+
+const SAFE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+function deny(req, res) {
+  if (!req.user) return res.status(401).json({ error: 'Not authenticated' });
+  if (req.user.scopes) {
+    return res.status(403).json({ error: 'API key scope does not allow this action' });
+  }
+  return res.status(403).json({ error: 'Forbidden' });
+}
+
+/**
+ * Requires every listed permission. Mount after requireAuth.
+ *   router.get('/', requirePermission('users:read'), handler)
+ */
+export function requirePermission(...permissions) {
+  return (req, res, next) =>
+    permissions.every(p => hasPermission(req.user, p)) ? next() : deny(req, res);
+}
+
+/**
+ * Router-level guard: safe methods need `<resource>:read`, everything else
+ * `<resource>:write`.
+ *   app.use('/api/cards', requireAuth, authorize('cards'), cardsRoute)
+ */
+export function authorize(resource) {
+  return (req, res, next) => {
+    const action = SAFE_METHODS.has(req.method) ? 'read' : 'write';
+    return hasPermission(req.user, `${resource}:${action}`) ? next() : deny(req, res);
+  };
+}
+
+/**
+ * Allows the caller to act on their own record (`req.params[param]` is their
+ * id) with the `self` permission, and on anyone else's only with `other`.
+ *   requireSelfOr('id', { self: 'profile:read', other: 'users:read' })
+ */
+export function requireSelfOr(param, { self, other }) {
+  return (req, res, next) => {
+    const isSelf = Boolean(req.user) && Number(req.params[param]) === req.user.id;
+    return hasPermission(req.user, isSelf ? self : other) ? next() : deny(req, res);
+  };
+}
@@ -0,0 +1,24 @@
+// middleware/localizeErrors.js
+import { requestLocale, translateError } from '../lib/i18n.js';
+
+/**
+ * Translates `{ error: '<English message>' }` response bodies into the
+ * signed-in user's locale, or the language negotiated from Accept-Language
+ * (req.user is only set by the time the route responds). Validation details
+ * and machine-readable codes are left as they are.
+ */
+export function localizeErrors(req, res, next) {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 400 && typeof body?.error === 'string') {
+      const locale = requestLocale(req);
+      res.vary('Accept-Language');
+      if (locale) {
+        res.set('Content-Language', locale);
+        body = { ...body, error: translateError(locale, body.error) };
+      }
+    }
+    return json(body);
+  };
+  next();
+}
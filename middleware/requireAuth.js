@@ -1,7 +1,38 @@
 // middleware/requireAuth.js
 import jwt from 'jsonwebtoken';
+import { authenticateApiKey } from '../lib/apiKeys.js';
 
-export default function requireAuth(req, res, next) {
+function bearerToken(req) {
+  const header = req.get('authorization');
+  const match = header?.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+// Server-to-server callers authenticate with `Authorization: Bearer <api key>`.
+// req.user.scopes narrows what the key may do (see lib/permissions.js).
+async function requireApiKey(req, res, next, raw) {
+  try {
+    const found = await authenticateApiKey(raw);
+    if (!found) return res.status(401).json({ error: 'Invalid or expired API key' });
+
+    req.user = {
+      id: found.user.id,
+      role: found.user.role,
+      locale: found.user.locale,
+      scopes: found.apiKey.scopes,
+      apiKeyId: found.apiKey.id,
+    };
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Cookie-only variant for account-management routes (sessions, 2FA, linking,
+ * account deletion) that API keys must never reach.
+ */
+export function requireSessionAuth(req, res, next) {
   const token = req.cookies?.access;
 
   if (!token) {
@@ -18,6 +49,7 @@ export default function requireAuth(req, res, next) {
     req.user = {
       id: payload?.userId,
       role: payload?.role,
+      locale: payload?.locale ?? null,
     };
 
     if (!req.user.id || !req.user.role) {
@@ -33,3 +65,9 @@ export default function requireAuth(req, res, next) {
     res.status(401).json({ error: 'Invalid or expired token' });
   }
 }
+
+export default function requireAuth(req, res, next) {
+  const bearer = bearerToken(req);
+  if (bearer) return requireApiKey(req, res, next, bearer);
+  return requireSessionAuth(req, res, next);
+}
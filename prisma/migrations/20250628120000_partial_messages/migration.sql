@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "Message" ADD COLUMN     "isPartial" BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "ChatSession" ADD COLUMN     "summarizedUpToId" INTEGER,
+ADD COLUMN     "summary" TEXT;
@@ -0,0 +1,19 @@
+-- CreateEnum
+CREATE TYPE "QuotaPeriod" AS ENUM ('DAY', 'MONTH');
+
+-- CreateTable
+CREATE TABLE "UsageCounter" (
+    "id" SERIAL NOT NULL,
+    "period" "QuotaPeriod" NOT NULL,
+    "periodStart" TIMESTAMP(3) NOT NULL,
+    "count" INTEGER NOT NULL DEFAULT 0,
+    "userId" INTEGER NOT NULL,
+
+    CONSTRAINT "UsageCounter_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "UsageCounter_userId_period_periodStart_key" ON "UsageCounter"("userId", "period", "periodStart");
+
+-- AddForeignKey
+ALTER TABLE "UsageCounter" ADD CONSTRAINT "UsageCounter_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
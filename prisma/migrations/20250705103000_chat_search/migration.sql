@@ -0,0 +1,13 @@
+-- AlterTable
+ALTER TABLE "ChatSession" ADD COLUMN     "titleVector" tsvector
+    GENERATED ALWAYS AS (to_tsvector('simple', coalesce("title", ''))) STORED;
+
+-- AlterTable
+ALTER TABLE "Message" ADD COLUMN     "searchVector" tsvector
+    GENERATED ALWAYS AS (to_tsvector('simple', "content")) STORED;
+
+-- CreateIndex
+CREATE INDEX "ChatSession_titleVector_idx" ON "ChatSession" USING GIN ("titleVector");
+
+-- CreateIndex
+CREATE INDEX "Message_searchVector_idx" ON "Message" USING GIN ("searchVector");
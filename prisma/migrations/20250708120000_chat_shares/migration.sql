@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE "ChatShare" (
+    "id" SERIAL NOT NULL,
+    "tokenHash" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "expiresAt" TIMESTAMP(3),
+    "revokedAt" TIMESTAMP(3),
+    "viewCount" INTEGER NOT NULL DEFAULT 0,
+    "lastViewedAt" TIMESTAMP(3),
+    "chatId" INTEGER NOT NULL,
+
+    CONSTRAINT "ChatShare_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ChatShare_tokenHash_key" ON "ChatShare"("tokenHash");
+
+-- CreateIndex
+CREATE INDEX "ChatShare_chatId_idx" ON "ChatShare"("chatId");
+
+-- AddForeignKey
+ALTER TABLE "ChatShare" ADD CONSTRAINT "ChatShare_chatId_fkey" FOREIGN KEY ("chatId") REFERENCES "ChatSession"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
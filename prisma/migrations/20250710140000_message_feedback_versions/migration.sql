@@ -0,0 +1,35 @@
+-- CreateEnum
+CREATE TYPE "FeedbackRating" AS ENUM ('UP', 'DOWN');
+
+-- AlterTable
+ALTER TABLE "Message" ADD COLUMN     "model" TEXT,
+ADD COLUMN     "parentId" INTEGER,
+ADD COLUMN     "promptVersion" TEXT;
+
+-- CreateTable
+CREATE TABLE "MessageFeedback" (
+    "id" SERIAL NOT NULL,
+    "rating" "FeedbackRating" NOT NULL,
+    "comment" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "messageId" INTEGER NOT NULL,
+    "userId" INTEGER NOT NULL,
+
+    CONSTRAINT "MessageFeedback_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Message_parentId_idx" ON "Message"("parentId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "MessageFeedback_messageId_userId_key" ON "MessageFeedback"("messageId", "userId");
+
+-- AddForeignKey
+ALTER TABLE "Message" ADD CONSTRAINT "Message_parentId_fkey" FOREIGN KEY ("parentId") REFERENCES "Message"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "MessageFeedback" ADD CONSTRAINT "MessageFeedback_messageId_fkey" FOREIGN KEY ("messageId") REFERENCES "Message"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "MessageFeedback" ADD CONSTRAINT "MessageFeedback_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
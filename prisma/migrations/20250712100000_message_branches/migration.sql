@@ -0,0 +1,19 @@
+-- AlterTable
+ALTER TABLE "ChatSession" ADD COLUMN     "activeLeafId" INTEGER;
+
+-- Backfill: existing sessions are a single branch, each message following the previous one
+UPDATE "Message" m
+SET "parentId" = p."prevId"
+FROM (
+    SELECT "id", LAG("id") OVER (PARTITION BY "chatId" ORDER BY "id") AS "prevId"
+    FROM "Message"
+) p
+WHERE m."id" = p."id" AND m."parentId" IS NULL AND p."prevId" IS NOT NULL;
+
+UPDATE "ChatSession" s
+SET "activeLeafId" = (SELECT max(m."id") FROM "Message" m WHERE m."chatId" = s."id");
+
+-- Summaries now point at the last summarised message on their branch
+UPDATE "ChatSession" s
+SET "summarizedUpToId" = (SELECT max(m."id") FROM "Message" m WHERE m."chatId" = s."id" AND m."id" <= s."summarizedUpToId")
+WHERE s."summarizedUpToId" IS NOT NULL;
@@ -0,0 +1,55 @@
+-- CreateEnum
+CREATE TYPE "KnowledgeDocumentStatus" AS ENUM ('PROCESSING', 'READY', 'FAILED');
+
+-- AlterTable
+ALTER TABLE "Message" ADD COLUMN     "citations" JSONB;
+
+-- CreateTable
+CREATE TABLE "KnowledgeDocument" (
+    "id" SERIAL NOT NULL,
+    "title" TEXT NOT NULL,
+    "filename" TEXT,
+    "mimeType" TEXT NOT NULL,
+    "sizeBytes" INTEGER NOT NULL,
+    "sha256" TEXT NOT NULL,
+    "pageCount" INTEGER,
+    "status" "KnowledgeDocumentStatus" NOT NULL DEFAULT 'PROCESSING',
+    "error" TEXT,
+    "enabled" BOOLEAN NOT NULL DEFAULT true,
+    "embeddingModel" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "uploadedById" INTEGER,
+
+    CONSTRAINT "KnowledgeDocument_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "KnowledgeChunk" (
+    "id" SERIAL NOT NULL,
+    "documentId" INTEGER NOT NULL,
+    "ordinal" INTEGER NOT NULL,
+    "page" INTEGER,
+    "section" TEXT,
+    "content" TEXT NOT NULL,
+    "tokenCount" INTEGER NOT NULL,
+    "embedding" REAL[],
+    "embeddingModel" TEXT NOT NULL,
+
+    CONSTRAINT "KnowledgeChunk_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "KnowledgeDocument_sha256_key" ON "KnowledgeDocument"("sha256");
+
+-- CreateIndex
+CREATE INDEX "KnowledgeChunk_documentId_idx" ON "KnowledgeChunk"("documentId");
+
+-- CreateIndex
+CREATE INDEX "KnowledgeChunk_embeddingModel_idx" ON "KnowledgeChunk"("embeddingModel");
+
+-- AddForeignKey
+ALTER TABLE "KnowledgeDocument" ADD CONSTRAINT "KnowledgeDocument_uploadedById_fkey" FOREIGN KEY ("uploadedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "KnowledgeChunk" ADD CONSTRAINT "KnowledgeChunk_documentId_fkey" FOREIGN KEY ("documentId") REFERENCES "KnowledgeDocument"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,46 @@
+-- CreateEnum
+CREATE TYPE "PromptPurpose" AS ENUM ('GATE', 'ASSISTANT', 'TITLE');
+
+-- AlterTable
+ALTER TABLE "Message" ADD COLUMN     "promptId" INTEGER;
+
+-- CreateTable
+CREATE TABLE "PromptVersion" (
+    "id" SERIAL NOT NULL,
+    "purpose" "PromptPurpose" NOT NULL,
+    "version" INTEGER NOT NULL,
+    "plan" "SubscriptionPlan",
+    "locale" TEXT,
+    "content" TEXT NOT NULL,
+    "note" TEXT,
+    "isActive" BOOLEAN NOT NULL DEFAULT false,
+    "activatedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "createdById" INTEGER,
+
+    CONSTRAINT "PromptVersion_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PromptVersion_purpose_version_key" ON "PromptVersion"("purpose", "version");
+
+-- CreateIndex
+CREATE INDEX "PromptVersion_purpose_isActive_idx" ON "PromptVersion"("purpose", "isActive");
+
+-- AddForeignKey
+ALTER TABLE "Message" ADD CONSTRAINT "Message_promptId_fkey" FOREIGN KEY ("promptId") REFERENCES "PromptVersion"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PromptVersion" ADD CONSTRAINT "PromptVersion_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Seed: the prompts that were hardcoded in controllers/chat.js, active for everyone
+INSERT INTO "PromptVersion" ("purpose", "version", "content", "note", "isActive", "activatedAt") VALUES
+('GATE', 1, 'Only answer YES or NO. Is this conversation about clinical dentistry, dental biomaterials, or dental procedures?', 'Initial version', true, CURRENT_TIMESTAMP),
+('ASSISTANT', 2, 'You are DentAssist AI – a professional dental assistant. Format replies with clear headings and bullet points. Support clinical statements with the numbered reference material below, citing it inline as [1], [2]. Only cite that material and never invent references; do not add a references list, sources are attached to your answer automatically.', 'Initial version (cited knowledge-base sources)', true, CURRENT_TIMESTAMP),
+('TITLE', 1, 'Write a short title (at most 6 words) for a conversation that starts with the exchange below. Reply with the title only, without quotes or trailing punctuation.', 'Initial version', true, CURRENT_TIMESTAMP);
+
+-- Link existing answers to the seeded versions they were produced with
+UPDATE "Message" m
+SET "promptId" = p."id"
+FROM "PromptVersion" p
+WHERE m."promptVersion" = CASE p."purpose" WHEN 'GATE' THEN 'gate-v' WHEN 'ASSISTANT' THEN 'assist-v' ELSE 'title-v' END || p."version";
@@ -0,0 +1,62 @@
+-- CreateEnum
+CREATE TYPE "GateReviewStatus" AS ENUM ('PENDING', 'UPHELD', 'OVERTURNED');
+
+-- CreateTable
+CREATE TABLE "GateDecision" (
+    "id" SERIAL NOT NULL,
+    "messageId" INTEGER NOT NULL,
+    "allowed" BOOLEAN NOT NULL,
+    "label" TEXT,
+    "raw" TEXT NOT NULL,
+    "confidence" DOUBLE PRECISION,
+    "model" TEXT,
+    "promptVersion" TEXT,
+    "promptId" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "appealedAt" TIMESTAMP(3),
+    "appealReason" TEXT,
+    "reviewStatus" "GateReviewStatus",
+    "reviewNote" TEXT,
+    "reviewedAt" TIMESTAMP(3),
+    "reviewedById" INTEGER,
+
+    CONSTRAINT "GateDecision_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "GateExample" (
+    "id" SERIAL NOT NULL,
+    "text" TEXT NOT NULL,
+    "allowed" BOOLEAN NOT NULL,
+    "note" TEXT,
+    "enabled" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "createdById" INTEGER,
+    "sourceDecisionId" INTEGER,
+
+    CONSTRAINT "GateExample_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "GateDecision_messageId_idx" ON "GateDecision"("messageId");
+
+-- CreateIndex
+CREATE INDEX "GateDecision_reviewStatus_appealedAt_idx" ON "GateDecision"("reviewStatus", "appealedAt");
+
+-- CreateIndex
+CREATE INDEX "GateExample_enabled_createdAt_idx" ON "GateExample"("enabled", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "GateDecision" ADD CONSTRAINT "GateDecision_messageId_fkey" FOREIGN KEY ("messageId") REFERENCES "Message"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "GateDecision" ADD CONSTRAINT "GateDecision_promptId_fkey" FOREIGN KEY ("promptId") REFERENCES "PromptVersion"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "GateDecision" ADD CONSTRAINT "GateDecision_reviewedById_fkey" FOREIGN KEY ("reviewedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "GateExample" ADD CONSTRAINT "GateExample_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "GateExample" ADD CONSTRAINT "GateExample_sourceDecisionId_fkey" FOREIGN KEY ("sourceDecisionId") REFERENCES "GateDecision"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,13 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "answerLanguage" TEXT,
+ADD COLUMN     "locale" TEXT;
+
+-- AlterTable
+ALTER TABLE "Message" ADD COLUMN     "language" TEXT;
+
+-- Seed: French and Arabic variants of the gate and assistant prompts
+INSERT INTO "PromptVersion" ("purpose", "version", "locale", "content", "note", "isActive", "activatedAt") VALUES
+('GATE', 2, 'fr', 'Répondez uniquement YES ou NO. Cette conversation porte-t-elle sur la dentisterie clinique, les biomatériaux dentaires ou les actes dentaires ?', 'French variant', true, CURRENT_TIMESTAMP),
+('GATE', 3, 'ar', 'أجب فقط بـ YES أو NO. هل تتعلق هذه المحادثة بطب الأسنان السريري أو المواد الحيوية السنية أو إجراءات طب الأسنان؟', 'Arabic variant', true, CURRENT_TIMESTAMP),
+('ASSISTANT', 3, 'fr', 'Vous êtes DentAssist AI, un assistant dentaire professionnel. Structurez vos réponses avec des titres clairs et des listes à puces. Appuyez les affirmations cliniques sur les documents de référence numérotés ci-dessous, en les citant dans le texte sous la forme [1], [2]. Ne citez que ces documents et n''inventez jamais de références ; n''ajoutez pas de liste de références, les sources sont jointes automatiquement à votre réponse.', 'French variant', true, CURRENT_TIMESTAMP),
+('ASSISTANT', 4, 'ar', 'أنت DentAssist AI، مساعد طب أسنان محترف. نظّم إجاباتك بعناوين واضحة ونقاط. ادعم المعلومات السريرية بالمراجع المرقمة أدناه، مع الإشارة إليها في النص بالشكل [1]، [2]. لا تستشهد إلا بهذه المراجع ولا تختلق مراجع أبدًا، ولا تضف قائمة مراجع، فالمصادر تُرفق بإجابتك تلقائيًا.', 'Arabic variant', true, CURRENT_TIMESTAMP);
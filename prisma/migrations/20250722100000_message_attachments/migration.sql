@@ -0,0 +1,23 @@
+-- CreateEnum
+CREATE TYPE "AttachmentSource" AS ENUM ('UPLOAD', 'XRAY');
+
+-- CreateTable
+CREATE TABLE "MessageAttachment" (
+    "id" SERIAL NOT NULL,
+    "source" "AttachmentSource" NOT NULL,
+    "name" TEXT,
+    "mimeType" TEXT NOT NULL,
+    "size" INTEGER NOT NULL,
+    "data" BYTEA,
+    "xrayFileId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "messageId" INTEGER NOT NULL,
+
+    CONSTRAINT "MessageAttachment_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "MessageAttachment_messageId_idx" ON "MessageAttachment"("messageId");
+
+-- AddForeignKey
+ALTER TABLE "MessageAttachment" ADD CONSTRAINT "MessageAttachment_messageId_fkey" FOREIGN KEY ("messageId") REFERENCES "Message"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
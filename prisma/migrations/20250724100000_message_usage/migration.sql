@@ -0,0 +1,36 @@
+-- CreateEnum
+CREATE TYPE "UsagePurpose" AS ENUM ('GATE', 'ANSWER');
+
+-- CreateTable
+CREATE TABLE "MessageUsage" (
+    "id" SERIAL NOT NULL,
+    "purpose" "UsagePurpose" NOT NULL,
+    "provider" TEXT,
+    "model" TEXT,
+    "promptTokens" INTEGER NOT NULL,
+    "completionTokens" INTEGER NOT NULL,
+    "estimated" BOOLEAN NOT NULL DEFAULT false,
+    "latencyMs" INTEGER NOT NULL,
+    "costUsd" DECIMAL(12,6),
+    "plan" "SubscriptionPlan" NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "messageId" INTEGER,
+    "userId" INTEGER,
+
+    CONSTRAINT "MessageUsage_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "MessageUsage_messageId_idx" ON "MessageUsage"("messageId");
+
+-- CreateIndex
+CREATE INDEX "MessageUsage_userId_createdAt_idx" ON "MessageUsage"("userId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "MessageUsage_createdAt_idx" ON "MessageUsage"("createdAt");
+
+-- AddForeignKey
+ALTER TABLE "MessageUsage" ADD CONSTRAINT "MessageUsage_messageId_fkey" FOREIGN KEY ("messageId") REFERENCES "Message"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "MessageUsage" ADD CONSTRAINT "MessageUsage_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,108 @@
+-- CreateEnum
+CREATE TYPE "ClinicRole" AS ENUM ('OWNER', 'MEMBER');
+
+-- AlterTable
+ALTER TABLE "MessageAttachment" ADD COLUMN     "imagingId" INTEGER;
+
+-- CreateTable
+CREATE TABLE "Clinic" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Clinic_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ClinicMember" (
+    "id" SERIAL NOT NULL,
+    "role" "ClinicRole" NOT NULL DEFAULT 'MEMBER',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "clinicId" INTEGER NOT NULL,
+    "userId" INTEGER NOT NULL,
+
+    CONSTRAINT "ClinicMember_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "Patient" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "chartNumber" TEXT,
+    "dateOfBirth" DATE,
+    "notes" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "ownerId" INTEGER,
+    "clinicId" INTEGER,
+    "createdById" INTEGER,
+
+    CONSTRAINT "Patient_pkey" PRIMARY KEY ("id"),
+    -- Exactly one owner: a user or a clinic
+    CONSTRAINT "Patient_owner_check" CHECK (("ownerId" IS NULL) <> ("clinicId" IS NULL))
+);
+
+-- CreateTable
+CREATE TABLE "Imaging" (
+    "id" SERIAL NOT NULL,
+    "storage" TEXT NOT NULL,
+    "storageKey" TEXT NOT NULL,
+    "mimeType" TEXT NOT NULL,
+    "size" INTEGER NOT NULL,
+    "checksum" TEXT NOT NULL,
+    "originalName" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "patientId" INTEGER NOT NULL,
+    "uploadedById" INTEGER,
+
+    CONSTRAINT "Imaging_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ClinicMember_userId_idx" ON "ClinicMember"("userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ClinicMember_clinicId_userId_key" ON "ClinicMember"("clinicId", "userId");
+
+-- CreateIndex
+CREATE INDEX "Patient_ownerId_name_idx" ON "Patient"("ownerId", "name");
+
+-- CreateIndex
+CREATE INDEX "Patient_clinicId_name_idx" ON "Patient"("clinicId", "name");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Patient_ownerId_chartNumber_key" ON "Patient"("ownerId", "chartNumber");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Patient_clinicId_chartNumber_key" ON "Patient"("clinicId", "chartNumber");
+
+-- CreateIndex
+CREATE INDEX "Imaging_patientId_createdAt_idx" ON "Imaging"("patientId", "createdAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Imaging_storage_storageKey_key" ON "Imaging"("storage", "storageKey");
+
+-- AddForeignKey
+ALTER TABLE "MessageAttachment" ADD CONSTRAINT "MessageAttachment_imagingId_fkey" FOREIGN KEY ("imagingId") REFERENCES "Imaging"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ClinicMember" ADD CONSTRAINT "ClinicMember_clinicId_fkey" FOREIGN KEY ("clinicId") REFERENCES "Clinic"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ClinicMember" ADD CONSTRAINT "ClinicMember_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Patient" ADD CONSTRAINT "Patient_ownerId_fkey" FOREIGN KEY ("ownerId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Patient" ADD CONSTRAINT "Patient_clinicId_fkey" FOREIGN KEY ("clinicId") REFERENCES "Clinic"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Patient" ADD CONSTRAINT "Patient_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Imaging" ADD CONSTRAINT "Imaging_patientId_fkey" FOREIGN KEY ("patientId") REFERENCES "Patient"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Imaging" ADD CONSTRAINT "Imaging_uploadedById_fkey" FOREIGN KEY ("uploadedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
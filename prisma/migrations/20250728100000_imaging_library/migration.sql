@@ -0,0 +1,9 @@
+-- CreateEnum
+CREATE TYPE "ImagingTag" AS ENUM ('BITEWING', 'PERIAPICAL', 'PANORAMIC', 'CBCT_SLICE');
+
+-- AlterTable
+ALTER TABLE "Imaging" ADD COLUMN     "name" TEXT,
+ADD COLUMN     "tag" "ImagingTag";
+
+-- Existing records keep their uploaded file name
+UPDATE "Imaging" SET "name" = "originalName";
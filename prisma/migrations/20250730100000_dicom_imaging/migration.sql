@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "Imaging" ADD COLUMN     "anonymized" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "dicomPatientId" TEXT,
+ADD COLUMN     "modality" TEXT,
+ADD COLUMN     "pixelSpacing" DOUBLE PRECISION[],
+ADD COLUMN     "previewKey" TEXT,
+ADD COLUMN     "studyDate" DATE,
+ADD COLUMN     "thumbnailKey" TEXT;
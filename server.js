@@ -10,6 +10,8 @@ import { v4 as uuid } from 'uuid';
 
 import { corsConfig } from './middleware/corsConfig.js';
 import requireAuth from './middleware/requireAuth.js';
+import { authorize } from './middleware/authorize.js';
+import { localizeErrors } from './middleware/localizeErrors.js';
 import { csrf } from './lib/auth.js';
 
 import authRoute from './controllers/auth.js';
@@ -21,6 +23,15 @@ import chatRoute from './controllers/chat.js';
 import sessionsRoute from './controllers/chats.js';
 import { paymentsRouter, webhookHandler } from './controllers/payments.js';
 import xrayRoute from './controllers/xray.js';
+import imagingRoute, { imagingFileHandler } from './controllers/imaging.js';
+import patientsRoute from './controllers/patients.js';
+import clinicsRoute from './controllers/clinics.js';
+import apiKeysRoute from './controllers/apiKeys.js';
+import sharedRoute from './controllers/shared.js';
+import adminRoute from './controllers/admin.js';
+import knowledgeRoute from './controllers/knowledge.js';
+import promptsRoute from './controllers/prompts.js';
+import gateRoute from './controllers/gate.js';
 
 // ← Swagger setup
 import { setupOpenApi } from './lib/openapi.js';
@@ -44,6 +55,9 @@ app.use(
   cookieParser()
 );
 
+// Error strings follow Accept-Language (en / fr / ar)
+app.use(localizeErrors);
+
 // 2) CORS — must precede any routes that read or set cookies
 app.use(corsConfig);
 
@@ -54,7 +68,8 @@ app.post(
   webhookHandler
 );
 
-// 4) JSON + Passport
+// 4) JSON + Passport (chat prompts may carry base64 images, see lib/attachments.js)
+app.use('/api/chat', express.json({ limit: process.env.CHAT_BODY_LIMIT || '30mb' }));
 app.use(express.json(), passport.initialize());
 
 // 5) Auth routes with CSRF protection
@@ -68,11 +83,20 @@ app.use(
 );
 
 // 6) Protected APIs
-app.use('/api/payments', requireAuth, paymentsRouter);
+//    authorize(resource) checks `<resource>:read` / `<resource>:write`;
+//    users and xray routes declare finer permissions per route.
+app.use('/api/payments', requireAuth, authorize('payments'), paymentsRouter);
 app.use('/api/users', requireAuth, usersRoute);
-app.use('/api/cards', requireAuth, cardsRoute);
-app.use('/api/notifications', requireAuth, notificationsRoute);
-app.use('/api/subscriptions', requireAuth, subscriptionsRoute);
+app.use('/api/cards', requireAuth, authorize('cards'), cardsRoute);
+app.use('/api/notifications', requireAuth, authorize('notifications'), notificationsRoute);
+app.use('/api/subscriptions', requireAuth, authorize('subscriptions'), subscriptionsRoute);
+app.use('/api/api-keys', requireAuth, authorize('apikeys'), apiKeysRoute);
+app.use('/api/patients', requireAuth, authorize('patients'), patientsRoute);
+app.use('/api/clinics', requireAuth, authorize('clinics'), clinicsRoute);
+app.use('/api/admin/knowledge', requireAuth, authorize('knowledge'), knowledgeRoute);
+app.use('/api/admin/prompts', requireAuth, authorize('prompts'), promptsRoute);
+app.use('/api/admin/gate', requireAuth, authorize('gate'), gateRoute);
+app.use('/api/admin', requireAuth, adminRoute);
 
 // 7) Chat + rate limiting
 const chatLimiter = rateLimit({
@@ -80,10 +104,17 @@ const chatLimiter = rateLimit({
   max: 20,
   message: { error: 'Too many requests' },
 });
-app.use('/api/chat', requireAuth, chatLimiter, chatRoute);
-app.use('/api/chats', requireAuth, sessionsRoute);
+app.use('/api/chat', requireAuth, authorize('chat'), chatLimiter, chatRoute);
+app.use('/api/chats', requireAuth, authorize('chat'), sessionsRoute);
+
+// Public read-only share links (rate limited inside the router)
+app.use('/api/shared', sharedRoute);
+
+// Signed imaging downloads: the token in the URL is the credential
+app.get('/api/imaging/files/:token', imagingFileHandler);
 
-// 8) XRay Upload (protected)
+// 8) XRay Upload and imaging library (protected)
+app.use('/api/imaging', requireAuth, authorize('xray'), imagingRoute);
 app.use('/api', requireAuth, xrayRoute); // ← Added XRay upload controller
 
 // ─── Swagger UI /docs ─────────────────────────────────────────────────────────
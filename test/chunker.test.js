@@ -0,0 +1,67 @@
+// test/chunker.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { chunkPages } from '../lib/knowledge/chunker.js';
+
+const words = (from, to) => Array.from({ length: to - from }, (_, i) => `w${from + i}`).join(' ');
+
+test('splits a page into overlapping windows', () => {
+  const chunks = chunkPages([{ page: 1, text: words(0, 10) }], { size: 4, overlap: 1 });
+  assert.deepEqual(chunks.map(c => c.content), [
+    words(0, 4),
+    words(3, 7),
+    words(6, 10),
+  ]);
+  assert.ok(chunks.every(c => c.page === 1 && c.section === null));
+});
+
+test('does not emit a trailing window already covered by the previous one', () => {
+  const chunks = chunkPages([{ page: 1, text: words(0, 4) }], { size: 4, overlap: 1 });
+  assert.deepEqual(chunks.map(c => c.content), [words(0, 4)]);
+});
+
+test('never crosses a page', () => {
+  const chunks = chunkPages([
+    { page: 1, text: words(0, 3) },
+    { page: 2, text: words(3, 6) },
+  ], { size: 5, overlap: 1 });
+  assert.deepEqual(chunks, [
+    { page: 1, section: null, content: words(0, 3) },
+    { page: 2, section: null, content: words(3, 6) },
+  ]);
+});
+
+test('skips blank pages and collapses whitespace', () => {
+  const chunks = chunkPages([
+    { page: 1, text: '  \n\t ' },
+    { page: 2, text: 'one\n\ntwo \t three' },
+  ], { size: 10, overlap: 2 });
+  assert.deepEqual(chunks, [{ page: 2, section: null, content: 'one two three' }]);
+});
+
+test('an overlap as large as the window still advances', () => {
+  const chunks = chunkPages([{ page: 1, text: words(0, 3) }], { size: 2, overlap: 2 });
+  assert.deepEqual(chunks.map(c => c.content), ['w0 w1', 'w1 w2']);
+});
+
+test('Markdown headings start a new section', () => {
+  const text = [
+    'Intro text',
+    '# Anatomy',
+    'enamel dentin',
+    '## Pulp ##',
+    'nerves',
+  ].join('\n');
+  const chunks = chunkPages([{ page: 1, text }], { markdown: true, size: 10, overlap: 2 });
+  assert.deepEqual(chunks, [
+    { page: 1, section: null, content: 'Intro text' },
+    { page: 1, section: 'Anatomy', content: 'enamel dentin' },
+    { page: 1, section: 'Pulp', content: 'nerves' },
+  ]);
+});
+
+test('headings are plain text outside Markdown', () => {
+  const chunks = chunkPages([{ page: 1, text: '# Anatomy\nenamel' }], { size: 10, overlap: 2 });
+  assert.deepEqual(chunks, [{ page: 1, section: null, content: '# Anatomy enamel' }]);
+});
@@ -0,0 +1,238 @@
+// test/dicom.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseDicom, dicomMetadata, anonymizeDicom, dicomImage } from '../lib/dicom.js';
+
+const EXPLICIT_LITTLE_ENDIAN = '1.2.840.10008.1.2.1';
+const EXPLICIT_BIG_ENDIAN = '1.2.840.10008.1.2.2';
+const JPEG_BASELINE = '1.2.840.10008.1.2.4.50';
+const JPEG_2000 = '1.2.840.10008.1.2.4.90';
+
+const LONG_LENGTH_VRS = new Set(['OB', 'OW', 'SQ', 'UN', 'UT']);
+
+// ─── Minimal Part 10 writer (explicit VR) ────────────────────────────────────
+
+function pad(value, vr) {
+  const bytes = Buffer.isBuffer(value) ? value : Buffer.from(value, 'latin1');
+  if (bytes.length % 2 === 0) return bytes;
+  return Buffer.concat([bytes, Buffer.from([vr === 'UI' || vr === 'OB' ? 0 : 0x20])]);
+}
+
+function element(tag, vr, value, bigEndian = false) {
+  const u16 = (n) => { const b = Buffer.alloc(2); bigEndian ? b.writeUInt16BE(n) : b.writeUInt16LE(n); return b; };
+  const u32 = (n) => { const b = Buffer.alloc(4); bigEndian ? b.writeUInt32BE(n) : b.writeUInt32LE(n); return b; };
+  const data = pad(value, vr);
+  const length = LONG_LENGTH_VRS.has(vr)
+    ? Buffer.concat([Buffer.alloc(2), u32(data.length)])
+    : u16(data.length);
+  return Buffer.concat([u16(tag >>> 16), u16(tag & 0xffff), Buffer.from(vr), length, data]);
+}
+
+function us(n, bigEndian) {
+  const b = Buffer.alloc(2);
+  bigEndian ? b.writeUInt16BE(n) : b.writeUInt16LE(n);
+  return b;
+}
+
+/**
+ * `elements` is `[[tag, vr, value]]` in tag order; numbers are written as US.
+ * Pixel data goes last as `pixels` (a Buffer) or `encapsulated` (fragments).
+ */
+function dicomFile({ transferSyntax = EXPLICIT_LITTLE_ENDIAN, elements = [], pixels, encapsulated }) {
+  const bigEndian = transferSyntax === EXPLICIT_BIG_ENDIAN;
+  const meta = element(0x00020010, 'UI', transferSyntax);
+  const body = elements.map(([tag, vr, value]) =>
+    element(tag, vr, typeof value === 'number' ? us(value, bigEndian) : value, bigEndian));
+
+  if (pixels) body.push(element(0x7fe00010, 'OW', pixels, bigEndian));
+  if (encapsulated) {
+    const item = (tag, data) => {
+      const header = Buffer.alloc(8);
+      header.writeUInt16LE(0xfffe, 0);
+      header.writeUInt16LE(tag, 2);
+      header.writeUInt32LE(data.length, 4);
+      return Buffer.concat([header, data]);
+    };
+    const header = Buffer.from([0xe0, 0x7f, 0x10, 0x00, 0x4f, 0x42, 0, 0, 0xff, 0xff, 0xff, 0xff]);
+    body.push(header, item(0xe000, Buffer.alloc(0)), ...encapsulated.map(f => item(0xe000, pad(f, 'OB'))), item(0xe0dd, Buffer.alloc(0)));
+  }
+  return Buffer.concat([Buffer.alloc(128), Buffer.from('DICM'), meta, ...body]);
+}
+
+function grayscaleFile({ values, bits = 16, transferSyntax, photometric = 'MONOCHROME2', extra = [] }) {
+  const bigEndian = transferSyntax === EXPLICIT_BIG_ENDIAN;
+  const pixels = Buffer.alloc(values.length * (bits / 8));
+  values.forEach((v, i) => {
+    if (bits === 8) pixels[i] = v;
+    else if (bigEndian) pixels.writeUInt16BE(v, i * 2);
+    else pixels.writeUInt16LE(v, i * 2);
+  });
+  return dicomFile({
+    transferSyntax,
+    elements: [
+      [0x00280002, 'US', 1],
+      [0x00280004, 'CS', photometric],
+      [0x00280010, 'US', 1],
+      [0x00280011, 'US', values.length],
+      [0x00280100, 'US', bits],
+      [0x00280101, 'US', bits === 16 ? 12 : 8],
+      [0x00280103, 'US', 0],
+      ...extra,
+    ].sort((a, b) => a[0] - b[0]),
+    pixels,
+  });
+}
+
+const PATIENT_ELEMENTS = [
+  [0x00080020, 'DA', '20250314'],
+  [0x00080060, 'CS', 'IO'],
+  [0x00080080, 'LO', 'Smile Clinic'],
+  [0x00100010, 'PN', 'Doe^Jane'],
+  [0x00100020, 'LO', 'PID-0042'],
+  [0x00100030, 'DA', '19800101'],
+];
+
+// ─── Parsing and metadata ────────────────────────────────────────────────────
+
+test('parseDicom returns null for files it cannot parse', () => {
+  assert.equal(parseDicom(Buffer.from('definitely not DICOM')), null);
+  assert.equal(parseDicom(Buffer.alloc(200)), null);
+});
+
+test('dicomMetadata reads the recorded tags', () => {
+  const dataSet = parseDicom(dicomFile({
+    elements: [...PATIENT_ELEMENTS, [0x00280030, 'DS', '0.1\\0.12']],
+  }));
+  assert.deepEqual(dicomMetadata(dataSet), {
+    modality: 'IO',
+    studyDate: new Date('2025-03-14T00:00:00Z'),
+    dicomPatientId: 'PID-0042',
+    pixelSpacing: [0.1, 0.12],
+  });
+});
+
+test('dicomMetadata falls back to Imager Pixel Spacing', () => {
+  const dataSet = parseDicom(dicomFile({ elements: [[0x00181164, 'DS', '0.02\\0.02']] }));
+  assert.deepEqual(dicomMetadata(dataSet).pixelSpacing, [0.02, 0.02]);
+});
+
+test('dicomMetadata drops values it cannot use', () => {
+  const dataSet = parseDicom(dicomFile({
+    elements: [[0x00080020, 'DA', '20250231'], [0x00280030, 'DS', '0\\0.1']],
+  }));
+  assert.deepEqual(dicomMetadata(dataSet), {
+    modality: null,
+    studyDate: null,
+    dicomPatientId: null,
+    pixelSpacing: [],
+  });
+});
+
+// ─── Anonymization ───────────────────────────────────────────────────────────
+
+test('anonymizeDicom blanks PHI in the file bytes and keeps the study date', () => {
+  const buffer = dicomFile({ elements: PATIENT_ELEMENTS });
+  anonymizeDicom(parseDicom(buffer));
+
+  const text = buffer.toString('latin1');
+  for (const phi of ['Doe^Jane', 'PID-0042', '19800101', 'Smile Clinic']) {
+    assert.ok(!text.includes(phi), `${phi} is still in the file`);
+  }
+
+  const reparsed = parseDicom(buffer);
+  assert.equal(reparsed.string('x00100010'), '');
+  assert.equal(reparsed.string('x00080020'), '20250314');
+  assert.equal(reparsed.string('x00080060'), 'IO');
+});
+
+test('anonymizeDicom reaches into sequences', () => {
+  const item = Buffer.concat([
+    Buffer.from([0xfe, 0xff, 0x00, 0xe0]),
+    Buffer.from([16, 0, 0, 0]),
+    element(0x00100010, 'PN', 'Roe^Rick'),
+  ]);
+  const buffer = dicomFile({ elements: [[0x00081120, 'SQ', item]] });
+  anonymizeDicom(parseDicom(buffer));
+  assert.ok(!buffer.toString('latin1').includes('Roe^Rick'));
+});
+
+// ─── Pixel data ──────────────────────────────────────────────────────────────
+
+test('dicomImage stretches grayscale without a VOI window to the full range', () => {
+  const { input, options } = dicomImage(parseDicom(grayscaleFile({ values: [100, 600, 1100] })));
+  assert.deepEqual(options, { raw: { width: 3, height: 1, channels: 1 } });
+  assert.deepEqual([...input], [0, 128, 255]);
+});
+
+test('dicomImage applies the VOI window', () => {
+  const { input } = dicomImage(parseDicom(grayscaleFile({
+    values: [0, 1000, 2000, 4000],
+    extra: [[0x00281050, 'DS', '2000'], [0x00281051, 'DS', '2000']],
+  })));
+  assert.deepEqual([...input], [0, 0, 128, 255]);
+});
+
+test('dicomImage applies the rescale before the window', () => {
+  const { input } = dicomImage(parseDicom(grayscaleFile({
+    values: [0, 500, 1000],
+    extra: [
+      [0x00281050, 'DS', '0'],
+      [0x00281051, 'DS', '1000'],
+      [0x00281052, 'DS', '-1000'],
+      [0x00281053, 'DS', '2'],
+    ],
+  })));
+  assert.deepEqual([...input], [0, 128, 255]);
+});
+
+test('dicomImage inverts MONOCHROME1', () => {
+  const { input } = dicomImage(parseDicom(grayscaleFile({ values: [0, 255], bits: 8, photometric: 'MONOCHROME1' })));
+  assert.deepEqual([...input], [255, 0]);
+});
+
+test('dicomImage reads big-endian pixel data', () => {
+  const { input } = dicomImage(parseDicom(grayscaleFile({
+    values: [0x0010, 0x0100, 0x0200],
+    transferSyntax: EXPLICIT_BIG_ENDIAN,
+  })));
+  assert.deepEqual([...input], [0, 123, 255]);
+});
+
+test('dicomImage interleaves planar RGB', () => {
+  const { input, options } = dicomImage(parseDicom(dicomFile({
+    elements: [
+      [0x00280002, 'US', 3],
+      [0x00280004, 'CS', 'RGB'],
+      [0x00280006, 'US', 1],
+      [0x00280010, 'US', 1],
+      [0x00280011, 'US', 2],
+      [0x00280100, 'US', 8],
+    ],
+    pixels: Buffer.from([1, 2, 3, 4, 5, 6]),
+  })));
+  assert.deepEqual(options, { raw: { width: 2, height: 1, channels: 3 } });
+  assert.deepEqual([...input], [1, 3, 5, 2, 4, 6]);
+});
+
+test('dicomImage returns the JPEG stream of baseline JPEG files', () => {
+  const jpeg = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 1, 2, 3, 0xff, 0xd9]);
+  const result = dicomImage(parseDicom(dicomFile({
+    transferSyntax: JPEG_BASELINE,
+    elements: [[0x00280010, 'US', 8], [0x00280011, 'US', 8]],
+    encapsulated: [jpeg],
+  })));
+  assert.equal(result.options, undefined);
+  assert.deepEqual(result.input.subarray(0, jpeg.length), jpeg);
+});
+
+test('dicomImage returns null for unsupported or missing pixel data', () => {
+  const size = [[0x00280010, 'US', 1], [0x00280011, 'US', 1], [0x00280100, 'US', 16]];
+  assert.equal(dicomImage(parseDicom(dicomFile({ elements: size }))), null);
+  assert.equal(dicomImage(parseDicom(dicomFile({
+    transferSyntax: JPEG_2000,
+    elements: size,
+    encapsulated: [Buffer.from([0xff, 0x4f, 0xff, 0xd9])],
+  }))), null);
+  assert.equal(dicomImage(parseDicom(dicomFile({ elements: size, pixels: Buffer.alloc(0) }))), null);
+});
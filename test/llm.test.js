@@ -0,0 +1,130 @@
+// test/llm.test.js
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { llm, registerProvider } from '../lib/llm/index.js';
+import { createFakeProvider } from '../lib/llm/fakeProvider.js';
+
+const messages = [
+  { role: 'system', content: 'You are a dental assistant.' },
+  { role: 'user', content: 'Should a cracked molar be crowned?' },
+];
+
+async function collect(stream) {
+  const events = [];
+  for await (const event of stream) events.push(event);
+  return events;
+}
+
+function streamedText(events) {
+  return events.filter(e => e.type === 'delta').map(e => e.text).join('');
+}
+
+// A provider that fails every call, after yielding `before` stream events
+function failingProvider(before = []) {
+  const fail = () => { throw new Error('provider down'); };
+  return {
+    complete: async () => fail(),
+    classify: async () => fail(),
+    async *stream() {
+      yield* before;
+      fail();
+    },
+  };
+}
+
+beforeEach((t) => {
+  t.mock.method(console, 'warn', () => {});
+  for (const key of Object.keys(process.env)) {
+    if (key.startsWith('LLM_TEST_')) delete process.env[key];
+  }
+  process.env.LLM_TEST_PROVIDER = 'fake';
+  process.env.LLM_TEST_MODEL = 'fake-1';
+});
+
+// ─── Fake provider ───────────────────────────────────────────────────────────
+
+test('fake complete, classify and stream repeat their output', async () => {
+  const fake = createFakeProvider();
+  const labels = ['dental', 'off_topic'];
+
+  assert.deepEqual(await fake.complete({ messages }), await createFakeProvider().complete({ messages }));
+  assert.deepEqual(await fake.classify({ messages, labels }), await fake.classify({ messages, labels }));
+  assert.deepEqual(await collect(fake.stream({ messages })), await collect(fake.stream({ messages })));
+});
+
+test('fake stream spells out the completion', async () => {
+  const fake = createFakeProvider();
+  const { text } = await fake.complete({ messages });
+  assert.ok(text.includes('Should a cracked molar be crowned?'));
+
+  const events = await collect(fake.stream({ messages }));
+  assert.equal(streamedText(events), text);
+  assert.equal(events.at(-1).type, 'usage');
+});
+
+test('fake classify picks the first label for dental prompts only', async () => {
+  const fake = createFakeProvider();
+  const labels = ['dental', 'off_topic'];
+  assert.equal((await fake.classify({ messages, labels })).label, 'dental');
+  const offTopic = [{ role: 'user', content: 'Best pizza in town?' }];
+  assert.equal((await fake.classify({ messages: offTopic, labels })).label, 'off_topic');
+});
+
+// ─── Routing and fallback ────────────────────────────────────────────────────
+
+test('calls go to the configured provider and carry its name and model', async () => {
+  const result = await llm('test').complete({ messages });
+  assert.equal(result.provider, 'fake');
+  assert.equal(result.model, 'fake-1');
+});
+
+test('complete and classify fall back when the primary throws', async () => {
+  registerProvider('test-down', () => failingProvider());
+  process.env.LLM_TEST_PROVIDER = 'test-down';
+  process.env.LLM_TEST_FALLBACK_PROVIDER = 'fake';
+  process.env.LLM_TEST_FALLBACK_MODEL = 'fake-2';
+
+  const completion = await llm('test').complete({ messages });
+  assert.equal(completion.provider, 'fake');
+  assert.equal(completion.model, 'fake-2');
+
+  const classified = await llm('test').classify({ messages, labels: ['dental', 'off_topic'] });
+  assert.equal(classified.provider, 'fake');
+  assert.equal(classified.label, 'dental');
+});
+
+test('without a fallback the primary error surfaces', async () => {
+  registerProvider('test-down', () => failingProvider());
+  process.env.LLM_TEST_PROVIDER = 'test-down';
+  await assert.rejects(llm('test').complete({ messages }), /provider down/);
+});
+
+test('a stream that fails before any output falls back', async () => {
+  registerProvider('test-down', () => failingProvider());
+  process.env.LLM_TEST_PROVIDER = 'test-down';
+  process.env.LLM_TEST_FALLBACK_PROVIDER = 'fake';
+  process.env.LLM_TEST_FALLBACK_MODEL = 'fake-2';
+
+  const events = await collect(llm('test').stream({ messages }));
+  assert.deepEqual(events.filter(e => e.type === 'meta'), [
+    { type: 'meta', model: 'fake-1', provider: 'test-down' },
+    { type: 'meta', model: 'fake-2', provider: 'fake' },
+  ]);
+  assert.equal(streamedText(events), (await createFakeProvider().complete({ messages })).text);
+});
+
+test('a stream that fails after output has started does not fall back', async () => {
+  registerProvider('test-flaky', () => failingProvider([{ type: 'delta', text: 'Partial ' }]));
+  process.env.LLM_TEST_PROVIDER = 'test-flaky';
+  process.env.LLM_TEST_FALLBACK_PROVIDER = 'fake';
+
+  const events = [];
+  await assert.rejects(async () => {
+    for await (const event of llm('test').stream({ messages })) events.push(event);
+  }, /provider down/);
+  assert.deepEqual(events, [
+    { type: 'meta', model: 'fake-1', provider: 'test-flaky' },
+    { type: 'delta', text: 'Partial ' },
+  ]);
+});
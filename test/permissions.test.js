@@ -0,0 +1,51 @@
+// test/permissions.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { hasPermission, permissionsFor } from '../lib/permissions.js';
+
+// req.user as middleware/requireAuth.js builds it: session cookies carry no
+// scopes, API keys carry the key's scopes
+const session = (role) => ({ id: 1, role });
+const apiKey = (role, scopes) => ({ id: 1, role, scopes, apiKeyId: 9 });
+
+test('session auth gets every permission of its role', () => {
+  for (const permission of permissionsFor('USER')) {
+    assert.ok(hasPermission(session('USER'), permission), permission);
+  }
+  assert.equal(hasPermission(session('USER'), 'users:read'), false);
+  assert.equal(hasPermission(session('ADMIN'), 'users:delete'), true);
+});
+
+test('a key with narrower scopes only gets what they grant', () => {
+  const key = apiKey('USER', ['chat:read']);
+  assert.equal(hasPermission(key, 'chat:read'), true);
+  assert.equal(hasPermission(key, 'chat:write'), false);
+  assert.equal(hasPermission(key, 'xray:read'), false);
+  assert.equal(hasPermission(key, 'profile:read'), false);
+
+  const writer = apiKey('USER', ['chat:write']);
+  assert.equal(hasPermission(writer, 'chat:read'), true);
+  assert.equal(hasPermission(writer, 'chat:write'), true);
+  assert.equal(hasPermission(writer, 'xray:read'), false);
+});
+
+test('a key never exceeds its owner\'s role', () => {
+  const userKey = apiKey('USER', ['read-only']);
+  assert.equal(hasPermission(userKey, 'chat:read'), true);
+  assert.equal(hasPermission(userKey, 'users:read'), false);
+
+  const adminKey = apiKey('ADMIN', ['read-only']);
+  assert.equal(hasPermission(adminKey, 'users:read'), true);
+  assert.equal(hasPermission(adminKey, 'users:write'), false);
+});
+
+test('keys without scopes and unknown scopes grant nothing', () => {
+  assert.equal(hasPermission(apiKey('ADMIN', []), 'chat:read'), false);
+  assert.equal(hasPermission(apiKey('ADMIN', ['everything']), 'chat:read'), false);
+});
+
+test('missing users and unknown roles have no permissions', () => {
+  assert.equal(hasPermission(undefined, 'chat:read'), false);
+  assert.equal(hasPermission(session('GUEST'), 'chat:read'), false);
+});
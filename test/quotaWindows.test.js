@@ -0,0 +1,40 @@
+// test/quotaWindows.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { quotaWindows } from '../lib/quotaWindows.js';
+
+const iso = (w) => ({ period: w.period, start: w.start.toISOString(), resetsAt: w.resetsAt.toISOString() });
+
+test('the day and month windows around now', () => {
+  assert.deepEqual(quotaWindows(new Date('2025-07-15T13:45:10Z')).map(iso), [
+    { period: 'DAY', start: '2025-07-15T00:00:00.000Z', resetsAt: '2025-07-16T00:00:00.000Z' },
+    { period: 'MONTH', start: '2025-07-01T00:00:00.000Z', resetsAt: '2025-08-01T00:00:00.000Z' },
+  ]);
+});
+
+test('a window starts exactly at UTC midnight and ends just before the next', () => {
+  const [dayStart] = quotaWindows(new Date('2025-07-15T00:00:00.000Z'));
+  const [dayEnd] = quotaWindows(new Date('2025-07-15T23:59:59.999Z'));
+  assert.deepEqual(iso(dayStart), iso(dayEnd));
+  assert.equal(dayStart.start.toISOString(), '2025-07-15T00:00:00.000Z');
+});
+
+test('windows roll over month and year ends', () => {
+  assert.deepEqual(quotaWindows(new Date('2025-12-31T23:00:00Z')).map(iso), [
+    { period: 'DAY', start: '2025-12-31T00:00:00.000Z', resetsAt: '2026-01-01T00:00:00.000Z' },
+    { period: 'MONTH', start: '2025-12-01T00:00:00.000Z', resetsAt: '2026-01-01T00:00:00.000Z' },
+  ]);
+});
+
+test('leap days belong to February', () => {
+  const [day, month] = quotaWindows(new Date('2024-02-29T08:00:00Z')).map(iso);
+  assert.equal(day.resetsAt, '2024-03-01T00:00:00.000Z');
+  assert.equal(month.start, '2024-02-01T00:00:00.000Z');
+  assert.equal(month.resetsAt, '2024-03-01T00:00:00.000Z');
+});
+
+test('windows follow UTC, not the offset the time was written in', () => {
+  const [day] = quotaWindows(new Date('2025-07-15T23:30:00-05:00'));
+  assert.equal(day.start.toISOString(), '2025-07-16T00:00:00.000Z');
+});
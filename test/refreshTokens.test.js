@@ -0,0 +1,41 @@
+// test/refreshTokens.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { refreshOutcome } from '../lib/refreshTokens.js';
+
+const NOW = new Date('2025-07-15T12:00:00Z');
+const LATER = new Date('2025-08-14T12:00:00Z');
+const EARLIER = new Date('2025-07-15T11:00:00Z');
+
+function family() {
+  const session = { id: 1, revokedAt: null, expiresAt: LATER };
+  return {
+    session,
+    used: { id: 1, session, usedAt: EARLIER, expiresAt: LATER },
+    current: { id: 2, session, usedAt: null, expiresAt: LATER },
+  };
+}
+
+test('the latest token of a live session rotates', () => {
+  assert.equal(refreshOutcome(family().current, NOW), 'rotate');
+});
+
+test('replaying a rotated token revokes the whole session', () => {
+  const { session, used, current } = family();
+  assert.equal(refreshOutcome(used, NOW), 'revoke');
+
+  // revokeSession() stamps the session every token of the family belongs to
+  session.revokedAt = NOW;
+  assert.equal(refreshOutcome(current, NOW), 'reject');
+  assert.equal(refreshOutcome(used, NOW), 'reject');
+});
+
+test('expired tokens and sessions are rejected without revoking', () => {
+  const { session, used, current } = family();
+  assert.equal(refreshOutcome({ ...current, expiresAt: NOW }, NOW), 'reject');
+  assert.equal(refreshOutcome({ ...used, expiresAt: EARLIER }, NOW), 'reject');
+
+  session.expiresAt = NOW;
+  assert.equal(refreshOutcome(current, NOW), 'reject');
+});
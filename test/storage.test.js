@@ -0,0 +1,109 @@
+// test/storage.test.js
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fsp from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { Readable } from 'stream';
+
+import { createLocalStorage } from '../lib/storage/localStorage.js';
+import { registerStorage, getStorage, xrayStorage, readAll } from '../lib/storage/index.js';
+
+let root;
+let storage;
+
+before(async () => {
+  root = await fsp.mkdtemp(path.join(os.tmpdir(), 'storage-test-'));
+  storage = createLocalStorage({ root });
+});
+
+after(async () => {
+  await fsp.rm(root, { recursive: true, force: true });
+});
+
+test('local: put then get round-trips the bytes and metadata', async () => {
+  const body = Buffer.from('not really a radiograph');
+  const { key, size } = await storage.put({
+    folder: 'xrays',
+    name: 'Bitewing.PNG',
+    contentType: 'image/png',
+    body: Readable.from([body]),
+    metadata: { patientid: '7' },
+  });
+  assert.match(key, /^xrays\/[0-9a-f-]{36}\.png$/);
+  assert.equal(size, body.length);
+
+  const object = await storage.get(key);
+  assert.equal(object.name, 'Bitewing.PNG');
+  assert.equal(object.contentType, 'image/png');
+  assert.equal(object.size, body.length);
+  assert.deepEqual(object.metadata, { patientid: '7' });
+  assert.deepEqual(await readAll(object.body), body);
+});
+
+test('local: keys drop unusable extensions', async () => {
+  const { key } = await storage.put({ folder: 'xrays', name: 'scan.tar gz', body: Readable.from([Buffer.from('x')]) });
+  assert.match(key, /^xrays\/[0-9a-f-]{36}$/);
+});
+
+test('local: unknown and malformed keys read as missing', async () => {
+  assert.equal(await storage.get('xrays/00000000-0000-0000-0000-000000000000.png'), null);
+  assert.equal(await storage.get('../etc/passwd'), null);
+  assert.equal(await storage.get('xrays/../../secret'), null);
+});
+
+test('local: delete removes the object and ignores missing ones', async () => {
+  const { key } = await storage.put({ folder: 'xrays', name: 'a.jpg', body: Readable.from([Buffer.from('a')]) });
+  await storage.delete(key);
+  assert.equal(await storage.get(key), null);
+  await storage.delete(key);
+  await storage.delete('../outside');
+  await assert.rejects(fsp.access(path.join(root, key)), { code: 'ENOENT' });
+  await assert.rejects(fsp.access(path.join(root, `${key}.meta.json`)), { code: 'ENOENT' });
+});
+
+test('local: a failed upload leaves no files behind', async () => {
+  const body = new Readable({
+    read() {
+      this.push(Buffer.from('partial'));
+      this.destroy(new Error('client went away'));
+    },
+  });
+  await assert.rejects(storage.put({ folder: 'failed', name: 'a.png', body }), /client went away/);
+  assert.deepEqual(await fsp.readdir(path.join(root, 'failed')), []);
+});
+
+test('registry: backends are created once, on first use', () => {
+  let created = 0;
+  registerStorage('memory-test', () => ({ name: 'memory-test', id: ++created }));
+  assert.equal(created, 0);
+  assert.equal(getStorage('memory-test').id, 1);
+  assert.equal(getStorage('memory-test').id, 1);
+
+  // Re-registering replaces the cached instance
+  registerStorage('memory-test', () => ({ name: 'memory-test', id: ++created }));
+  assert.equal(getStorage('memory-test').id, 2);
+});
+
+test('registry: unknown backends and bad configuration throw on use', (t) => {
+  const saved = process.env.S3_BUCKET;
+  t.after(() => {
+    if (saved === undefined) delete process.env.S3_BUCKET;
+    else process.env.S3_BUCKET = saved;
+  });
+  delete process.env.S3_BUCKET;
+
+  assert.throws(() => getStorage('nope'), /Unknown storage backend "nope"/);
+  assert.throws(() => getStorage('s3'), /S3_BUCKET not set/);
+});
+
+test('xrayStorage follows XRAY_STORAGE', (t) => {
+  const saved = process.env.XRAY_STORAGE;
+  t.after(() => {
+    if (saved === undefined) delete process.env.XRAY_STORAGE;
+    else process.env.XRAY_STORAGE = saved;
+  });
+  registerStorage('memory-test', () => ({ name: 'memory-test' }));
+  process.env.XRAY_STORAGE = 'memory-test';
+  assert.equal(xrayStorage().name, 'memory-test');
+});
@@ -0,0 +1,81 @@
+// test/totp.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  generateSecret,
+  currentStep,
+  verifyTotp,
+  otpauthUri,
+  sealSecret,
+  openSecret,
+} from '../lib/totp.js';
+
+// RFC 6238 appendix B (SHA-1), truncated to 6 digits; the key is the ASCII
+// string "12345678901234567890"
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const RFC_VECTORS = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1111111111, '050471'],
+  [1234567890, '005924'],
+  [2000000000, '279037'],
+];
+
+test('verifyTotp accepts the RFC 6238 test vectors', () => {
+  for (const [seconds, code] of RFC_VECTORS) {
+    const now = seconds * 1000;
+    assert.equal(verifyTotp(RFC_SECRET, code, { now, window: 0 }), currentStep(now));
+  }
+});
+
+test('verifyTotp returns the matched step within the window', () => {
+  const now = 1111111109 * 1000;
+  const step = currentStep(now);
+  assert.equal(verifyTotp(RFC_SECRET, '081804', { now: now + 30_000 }), step);
+  assert.equal(verifyTotp(RFC_SECRET, '081804', { now: now - 30_000 }), step);
+  assert.equal(verifyTotp(RFC_SECRET, '081804', { now: now + 60_000 }), null);
+});
+
+test('verifyTotp rejects malformed and wrong codes', () => {
+  const now = 59 * 1000;
+  assert.equal(verifyTotp(RFC_SECRET, '287 082', { now }), currentStep(now));
+  assert.equal(verifyTotp(RFC_SECRET, '287083', { now }), null);
+  assert.equal(verifyTotp(RFC_SECRET, '28708', { now }), null);
+  assert.equal(verifyTotp(RFC_SECRET, 'abcdef', { now }), null);
+  assert.equal(verifyTotp(RFC_SECRET, undefined, { now }), null);
+});
+
+test('currentStep counts 30 s steps', () => {
+  assert.equal(currentStep(0), 0);
+  assert.equal(currentStep(29_999), 0);
+  assert.equal(currentStep(30_000), 1);
+});
+
+test('generateSecret returns 160-bit base32 secrets', () => {
+  const secret = generateSecret();
+  assert.match(secret, /^[A-Z2-7]{32}$/);
+  assert.notEqual(generateSecret(), secret);
+});
+
+test('otpauthUri describes the code parameters', () => {
+  const raw = otpauthUri(RFC_SECRET, 'ada@example.com');
+  assert.ok(raw.startsWith('otpauth://totp/DentGo%3Aada%40example.com?'));
+  const uri = new URL(raw);
+  assert.equal(uri.searchParams.get('secret'), RFC_SECRET);
+  assert.equal(uri.searchParams.get('issuer'), 'DentGo');
+  assert.equal(uri.searchParams.get('digits'), '6');
+  assert.equal(uri.searchParams.get('period'), '30');
+});
+
+test('sealed secrets open with the same key only', (t) => {
+  t.after(() => delete process.env.TOTP_ENCRYPTION_KEY);
+  process.env.TOTP_ENCRYPTION_KEY = 'first key';
+  const sealed = sealSecret(RFC_SECRET);
+  assert.notEqual(sealed, sealSecret(RFC_SECRET));
+  assert.ok(!sealed.includes(RFC_SECRET));
+  assert.equal(openSecret(sealed), RFC_SECRET);
+
+  process.env.TOTP_ENCRYPTION_KEY = 'second key';
+  assert.throws(() => openSecret(sealed));
+});